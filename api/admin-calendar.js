@@ -0,0 +1,43 @@
+// /api/admin-calendar.js
+import { loadWindows, describeCalendar } from '../lib/scheduling.js';
+const TOKEN = process.env.ADMIN_API_TOKEN;
+
+// GET ?token=...&wa=36301234567&days=30
+// The windows + per-day rules (holidays, closures, overrides) the planner uses for a client.
+// Without wa= it shows the global settings.scheduling_windows calendar.
+export async function GET(request) {
+  const url = new URL(request.url);
+
+  // auth
+  const hdr = request.headers.get('authorization') || '';
+  const bearer = hdr.toLowerCase().startsWith('bearer ') ? hdr.slice(7) : null;
+  const provided = bearer || url.searchParams.get('token') || '';
+  if (!TOKEN || provided !== TOKEN) {
+    return json({ ok: false, error: 'unauthorized' }, 401);
+  }
+
+  const wa = (url.searchParams.get('wa') || '').trim() || null;
+  const daysParam = (url.searchParams.get('days') || '').trim();
+  if (daysParam && !/^\d+$/.test(daysParam)) return json({ ok: false, error: 'bad_days', hint: '1-366' }, 400);
+  const days = daysParam ? Math.min(Math.max(Number(daysParam), 1), 366) : 30;
+
+  const windows = await loadWindows(wa);
+  const calendar = describeCalendar({ windows, days });
+
+  return json({
+    ok: true,
+    wa,
+    tz: windows.tz,
+    windows,
+    days,
+    skipped: calendar.filter(d => d.action === 'skip').length,
+    calendar
+  });
+}
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json; charset=utf-8' }
+  });
+}
@@ -0,0 +1,87 @@
+// /api/admin-usage.js
+import { supabaseAdmin } from '../lib/supabase.js';
+import { toE164Candidate } from '../lib/clients.js';
+import { loadUsageRows, summarize } from '../lib/usage.js';
+const TOKEN = process.env.ADMIN_API_TOKEN;
+const DEFAULT_BUDGET_USD = process.env.LLM_MONTHLY_BUDGET_USD ? Number(process.env.LLM_MONTHLY_BUDGET_USD) : null;
+
+// GET ?token=...&month=2026-10&wa=36301234567
+// LLM usage (calls, tokens, estimated USD, latency) for a calendar month (UTC), overall and per client,
+// with each client's monthly budget. Without month= it's the current month; wa= narrows to one client.
+export async function GET(request) {
+  const url = new URL(request.url);
+
+  // auth
+  const hdr = request.headers.get('authorization') || '';
+  const bearer = hdr.toLowerCase().startsWith('bearer ') ? hdr.slice(7) : null;
+  const provided = bearer || url.searchParams.get('token') || '';
+  if (!TOKEN || provided !== TOKEN) {
+    return json({ ok: false, error: 'unauthorized' }, 401);
+  }
+  if (!supabaseAdmin) return json({ ok: false, error: 'supabase_not_configured' }, 500);
+
+  const now = new Date();
+  const monthParam = (url.searchParams.get('month') || '').trim();
+  const m = monthParam.match(/^(\d{4})-(\d{2})$/);
+  if (monthParam && !m) return json({ ok: false, error: 'bad_month', hint: 'YYYY-MM' }, 400);
+  const year = m ? Number(m[1]) : now.getUTCFullYear();
+  const month = m ? Number(m[2]) - 1 : now.getUTCMonth();
+  const since = new Date(Date.UTC(year, month, 1)).toISOString();
+  const until = new Date(Date.UTC(year, month + 1, 1)).toISOString();
+  const wa = (url.searchParams.get('wa') || '').trim() || null;
+
+  let rows;
+  try {
+    rows = await loadUsageRows({ sinceIso: since, untilIso: until, fromWa: wa });
+  } catch (e) {
+    return json({ ok: false, error: String(e?.message || e) }, 500);
+  }
+
+  const byWa = new Map();
+  for (const r of rows) {
+    const key = r.from_wa || 'unknown';
+    if (!byWa.has(key)) byWa.set(key, []);
+    byWa.get(key).push(r);
+  }
+
+  // Budgets from clients (phone_e164 ↔ from_wa)
+  const budgets = new Map();
+  const phones = [...byWa.keys()].map(toE164Candidate).filter(Boolean);
+  if (phones.length) {
+    const { data: clients, error } = await supabaseAdmin
+      .from('clients')
+      .select('phone_e164, llm_monthly_budget_usd')
+      .in('phone_e164', phones);
+    if (error) console.error('[admin-usage] clients lookup failed:', error.message || error);
+    for (const c of clients || []) {
+      if (c.llm_monthly_budget_usd != null) budgets.set(c.phone_e164, Number(c.llm_monthly_budget_usd));
+    }
+  }
+
+  const clients = [...byWa.entries()].map(([fromWa, list]) => {
+    const totals = summarize(list);
+    const budget = budgets.get(toE164Candidate(fromWa)) ?? DEFAULT_BUDGET_USD;
+    return {
+      from_wa: fromWa,
+      client_id: list.find(r => r.client_id != null)?.client_id ?? null,
+      ...totals,
+      budget_usd: budget,
+      over_budget: budget != null && totals.cost_usd >= budget
+    };
+  }).sort((a, b) => b.cost_usd - a.cost_usd);
+
+  return json({
+    ok: true,
+    month: `${year}-${String(month + 1).padStart(2, '0')}`,
+    wa,
+    totals: summarize(rows),
+    clients
+  });
+}
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json; charset=utf-8' }
+  });
+}
@@ -1,4 +1,5 @@
 // /api/cron-orchestrator.js
+import crypto from 'node:crypto';
 import * as Scheduler from './cron-scheduler.js';
 import * as Runner from './cron-runner.js';
 import * as Publisher from './cron-publisher.js';
@@ -66,22 +67,28 @@ export async function GET(request) {
     const planReq = new Request('https://internal/cron-scheduler?action=plan', { headers: authHeaders });
     const planRes = await Scheduler.GET(planReq).then(r => r.json());
 
-    // 2) Claim (avoid double picks)
-    const claimReq = new Request('https://internal/cron-runner?action=claim&limit=50', { headers: authHeaders });
+    // 2) Reclaim rows whose lease expired without posted_at (crashed/timed-out publisher)
+    const reclaimReq = new Request('https://internal/cron-runner?action=reclaim', { headers: authHeaders });
+    const reclaimRes = await Runner.GET(reclaimReq).then(r => r.json());
+
+    // 3) Claim under a lease owned by this run (atomic, SKIP LOCKED)
+    const worker = `orch-${crypto.randomUUID()}`;
+    const claimReq = new Request(`https://internal/cron-runner?action=claim&limit=50&worker=${worker}`, { headers: authHeaders });
     const claimRes = await Runner.GET(claimReq).then(r => r.json());
 
-    // 3) Post (stub → marks posted_at)
-    const postReq = new Request('https://internal/cron-publisher?action=post&limit=50', { headers: authHeaders });
+    // 4) Post what this run holds (Facebook Page + Instagram; IG containers may finish on a later tick)
+    const postReq = new Request(`https://internal/cron-publisher?action=post&limit=50&worker=${worker}`, { headers: authHeaders });
     const postRes = await Publisher.GET(postReq).then(r => r.json());
 
     console.log('[cron-orchestrator]', {
       fromCron,
       plan: planRes?.mode ? `${planRes.mode}:${planRes.planned ?? planRes.count ?? 0}` : 'err',
+      reclaim: reclaimRes?.mode ? `${reclaimRes.mode}:${reclaimRes.reclaimed ?? 0}` : 'err',
       claim: claimRes?.mode ? `${claimRes.mode}:${claimRes.claimed ?? claimRes.count ?? 0}` : 'err',
       post: postRes?.mode ? `${postRes.mode}:${postRes.posted ?? postRes.count ?? 0}` : 'err'
     });
 
-    return json({ ok: true, plan: planRes, claim: claimRes, post: postRes });
+    return json({ ok: true, plan: planRes, reclaim: reclaimRes, claim: claimRes, post: postRes });
   } catch (e) {
     console.error('[cron-orchestrator] error', e);
     return json({ ok: false, error: String(e) }, 500);
@@ -1,7 +1,21 @@
-// /api/cron-publisher.js  (stub — no real posting yet)
+// /api/cron-publisher.js  (publishes claimed drafts to Facebook Page + Instagram Business)
 import { supabaseAdmin } from '../lib/supabase.js';
+import { loadClientRow, brandingFromClient } from '../lib/clients.js';
+import { composeMessage, publishToFacebookPage } from '../lib/fb-publish.js';
+import { createIgContainer, getIgContainerStatus, publishIgContainer } from '../lib/ig-publish.js';
+import { sendText } from '../lib/wa.js';
+import { brandDraftMedia } from '../lib/media-process.js';
+import { PUBLISH_MAX_ATTEMPTS, publishOutcome } from '../lib/publish-retry.js';
 
 const CRON_TOKEN = process.env.CRON_TOKEN || process.env.ADMIN_API_TOKEN;
+const MEDIA_URL_TTL_SEC = 3600; // Graph / IG fetch the photo asynchronously
+const LEASE_SECONDS = Number(process.env.LEASE_SECONDS || 300); // same window cron-runner claims with
+// An IG container still IN_PROGRESS after this long counts as a failed attempt (and a fresh container next time)
+const IG_CONTAINER_MAX_AGE_SECONDS = Number(process.env.IG_CONTAINER_MAX_AGE_SECONDS || 1800);
+
+const ADMIN_ALERT_WA = process.env.ADMIN_ALERT_WA || ''; // number that gets dead-letter alerts
+const PUBLISH_FAILED_TEXT = process.env.PUBLISH_FAILED_TEXT
+  || 'Sorry — I couldn’t publish one of your approved posts after several tries. We’re looking into it; no need to resend anything.';
 
 function json(body, status = 200) {
   return new Response(JSON.stringify(body), {
@@ -10,6 +24,145 @@ function json(body, status = 200) {
   });
 }
 
+function isImage(row) {
+  return !!row.media_path && String(row.media_mime || 'image/').startsWith('image/');
+}
+
+// Re-checks and extends this worker's lease right before publishing one row, so a batch that
+// outlives the claim can't race a worker that re-claimed it after reclaim. False → lease lost, skip.
+async function renewLease(id, worker) {
+  const now = Date.now();
+  const { data, error } = await supabaseAdmin
+    .from('draft_posts')
+    .update({ lease_expires_at: new Date(now + LEASE_SECONDS * 1000).toISOString() })
+    .eq('id', id)
+    .eq('lease_owner', worker)
+    .gt('lease_expires_at', new Date(now).toISOString())
+    .is('posted_at', null)
+    .select('id')
+    .maybeSingle();
+  if (error) console.error(`[cron-publisher] lease renew failed id=${id}`, error.message);
+  return !error && !!data;
+}
+
+// Publishes the logo-stamped copy made at preview time when there is one
+async function signedMediaUrl(row) {
+  const { data, error } = await supabaseAdmin.storage
+    .from('media')
+    .createSignedUrl(row.media_branded_path || row.media_path, MEDIA_URL_TTL_SEC);
+  if (error || !data?.signedUrl) throw new Error(`sign_url: ${error?.message || 'no url'}`);
+  return data.signedUrl;
+}
+
+// Which platforms this draft goes to, based on what the client has connected
+function targetPlatforms(row, client) {
+  const out = [];
+  if (client?.fb_page_id && client?.fb_page_token) out.push('facebook');
+  if (client?.ig_user_id && (client?.ig_access_token || client?.fb_page_token) && isImage(row)) out.push('instagram');
+  return out;
+}
+
+// Each step returns the new per-platform state; state.status === 'published' means done.
+async function stepFacebook(row, client) {
+  const imageUrl = isImage(row) ? await signedMediaUrl(row) : null;
+  const fb = await publishToFacebookPage({
+    pageId: client.fb_page_id,
+    token: client.fb_page_token,
+    message: composeMessage(row, 'facebook'),
+    imageUrl
+  });
+  return { status: 'published', ...fb, kind: imageUrl ? 'photo' : 'text', published_at: new Date().toISOString() };
+}
+
+// Two-step container flow; a container that isn't FINISHED yet is left for the next tick
+async function stepInstagram(row, client, prev = {}) {
+  const igUserId = client.ig_user_id;
+  const token = client.ig_access_token || client.fb_page_token;
+
+  let containerId = prev.container_id || null;
+  if (!containerId) {
+    containerId = await createIgContainer({
+      igUserId, token, imageUrl: await signedMediaUrl(row), caption: composeMessage(row, 'instagram'),
+      altText: row.alt_text || null
+    });
+  }
+
+  const { status_code, status } = await getIgContainerStatus({ containerId, token });
+  if (status_code === 'IN_PROGRESS') {
+    const createdAt = prev.created_at || new Date().toISOString();
+    const ageSec = (Date.now() - Date.parse(createdAt)) / 1000;
+    if (ageSec > IG_CONTAINER_MAX_AGE_SECONDS) {
+      throw new Error(`instagram: container ${containerId} still IN_PROGRESS after ${Math.round(ageSec)}s`);
+    }
+    return { status: 'container', container_id: containerId, created_at: createdAt };
+  }
+  if (status_code !== 'FINISHED') {
+    throw new Error(`instagram: container ${containerId} ${status_code}${status ? ` (${status})` : ''}`);
+  }
+
+  const ig = await publishIgContainer({ igUserId, token, containerId });
+  return { status: 'published', ...ig, container_id: containerId, published_at: new Date().toISOString() };
+}
+
+const STEPS = { facebook: stepFacebook, instagram: stepInstagram };
+
+// Dead-letter notice: client gets a short apology, admin gets the details
+async function notifyPermanentFailure(row, errors) {
+  if (row.from_wa) {
+    try { await sendText({ to: row.from_wa, body: PUBLISH_FAILED_TEXT }); }
+    catch (e) { console.error(`[cron-publisher] client notice failed id=${row.id}`, e?.message || e); }
+  }
+  if (ADMIN_ALERT_WA) {
+    const body = `⚠️ Publish failed permanently\nDraft #${row.id} (${row.from_wa || 'unknown'}) after ${PUBLISH_MAX_ATTEMPTS} attempts:\n${errors.join('\n')}`;
+    try { await sendText({ to: ADMIN_ALERT_WA, body: body.slice(0, 4096) }); }
+    catch (e) { console.error(`[cron-publisher] admin alert failed id=${row.id}`, e?.message || e); }
+  }
+}
+
+/**
+ * Advance one draft on every target platform. Platforms already published are skipped,
+ * so a partially published draft never double-posts.
+ * @returns {{ result: object, done: boolean, errors: string[] }}
+ */
+async function publishDraft(row, client) {
+  const prevResult = row.posted_result && typeof row.posted_result === 'object' ? row.posted_result : {};
+  const result = { ...prevResult };
+  const errors = [];
+
+  const platforms = targetPlatforms(row, client);
+  if (!platforms.length) {
+    return { result, done: false, errors: ['no publish target (connect fb_page_id / ig_user_id on the client)'] };
+  }
+
+  // Drafts previewed before the client had a logo (or whose overlay failed then) get it now
+  if (!row.media_branded_path) {
+    try {
+      const branded = await brandDraftMedia(row, brandingFromClient(client));
+      if (branded) {
+        row.media_branded_path = branded.path;
+        await supabaseAdmin.from('draft_posts').update({ media_branded_path: branded.path }).eq('id', row.id);
+      }
+    } catch (e) {
+      console.error('[publisher] logo overlay failed, publishing plain media', row.id, e?.message || e);
+    }
+  }
+
+  for (const platform of platforms) {
+    const prev = result[platform] || {};
+    if (prev.status === 'published') continue;
+    try {
+      result[platform] = await STEPS[platform](row, client, prev);
+    } catch (e) {
+      const msg = String(e?.message || e);
+      result[platform] = { status: 'error', error: msg.slice(0, 500), at: new Date().toISOString() };
+      errors.push(msg);
+    }
+  }
+
+  const done = platforms.every(p => result[p]?.status === 'published');
+  return { result, done, errors };
+}
+
 export async function GET(request) {
   const url = new URL(request.url);
 
@@ -24,15 +177,21 @@ export async function GET(request) {
   const action  = (url.searchParams.get('action') || 'peek').toLowerCase(); // peek | post
   const limit   = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '50', 10), 1), 200);
   const dryRun  = (url.searchParams.get('dry_run') || 'false').toLowerCase() === 'true';
+  const worker  = url.searchParams.get('worker') || ''; // lease owner from cron-runner claim
+  const nowIso  = new Date().toISOString();
 
-  // Work queue: items that are claimed (queued_at not null) and not yet posted
-  const base = supabaseAdmin
+  // Work queue: items claimed under a live lease and not yet posted
+  // (expired leases are released by cron-runner?action=reclaim)
+  let base = supabaseAdmin
     .from('draft_posts')
-    .select('id, from_wa, source_message_id, status, approved_at, scheduled_at, queued_at, posted_at, posted_result, posted_error')
+    .select('id, from_wa, source_message_id, status, approved_at, scheduled_at, queued_at, lease_owner, lease_expires_at, posted_at, posted_result, posted_error, publish_attempts, next_attempt_at, caption_final, caption_seed, text_body, hashtags, captions_json, alt_text, constraints_json, media_path, media_branded_path, media_mime')
+    .eq('status', 'approved') // dead-lettered rows are 'failed'
     .not('queued_at', 'is', null)
     .is('posted_at', null)
+    .gt('lease_expires_at', nowIso)
     .order('queued_at', { ascending: true })
     .limit(limit);
+  if (worker) base = base.eq('lease_owner', worker);
 
   if (action === 'peek') {
     const { data, error } = await base;
@@ -42,6 +201,11 @@ export async function GET(request) {
   }
 
   if (action === 'post') {
+    // Only the worker holding the claim may publish (cron-orchestrator passes it through)
+    if (!dryRun && !worker) {
+      return json({ ok: false, error: 'worker_required', hint: 'Pass the worker used for cron-runner?action=claim' }, 400);
+    }
+
     // Step 1: get up to N pending items
     const { data: pending, error: selErr } = await base;
     if (selErr) return json({ ok: false, error: selErr.message }, 500);
@@ -54,18 +218,45 @@ export async function GET(request) {
       return json({ ok: true, mode: 'post', dry_run: true, would_post_ids: ids, count: ids.length });
     }
 
-    // Step 2: simulate publish by stamping posted_at and posted_result
-    const nowIso = new Date().toISOString();
-    const { data: updated, error: updErr } = await supabaseAdmin
-      .from('draft_posts')
-      .update({ posted_at: nowIso, posted_result: 'noop' })
-      .in('id', ids)
-      .is('posted_at', null) // idempotent guard
-      .select('id, posted_at, posted_result');
-    if (updErr) return json({ ok: false, error: updErr.message }, 500);
-
-    console.log(`[cron-publisher] posted size=${updated?.length || 0}`);
-    return json({ ok: true, mode: 'post', dry_run: false, posted: updated?.length || 0, items: updated || [] });
+    // Step 2: advance each draft on its platforms (client rows cached per number)
+    const clients = new Map();
+    const items = [];
+    for (const row of pending) {
+      if (!(await renewLease(row.id, worker))) {
+        console.error(`[cron-publisher] lease lost id=${row.id} worker=${worker}; skipping`);
+        items.push({ id: row.id, outcome: 'lease_lost' });
+        continue;
+      }
+      if (!clients.has(row.from_wa)) clients.set(row.from_wa, await loadClientRow(supabaseAdmin, row.from_wa));
+
+      const { result, done, errors } = await publishDraft(row, clients.get(row.from_wa));
+      // Backoff and dead-letter policy: lib/publish-retry.js
+      const { outcome, attempts, updates } = publishOutcome(row, { result, done, errors });
+      if (outcome === 'retry' || outcome === 'failed') {
+        console.error(`[cron-publisher] publish ${outcome} id=${row.id} attempt=${attempts}`, errors);
+      }
+
+      const { data: updated, error: updErr } = await supabaseAdmin
+        .from('draft_posts')
+        .update(updates)
+        .eq('id', row.id)
+        .eq('lease_owner', worker) // a re-claimed row belongs to the other worker now
+        .is('posted_at', null) // idempotent guard
+        .select('id, status, posted_at, posted_result, posted_error, publish_attempts, next_attempt_at')
+        .maybeSingle();
+      if (updErr) console.error(`[cron-publisher] update failed id=${row.id}`, updErr.message);
+      if (outcome === 'failed' && updated) await notifyPermanentFailure(row, errors);
+      items.push({ ...(updated || { id: row.id, ...updates }), outcome });
+    }
+
+    const count = k => items.filter(x => x.outcome === k).length;
+    console.log(`[cron-publisher] posted=${count('posted')} pending=${count('pending')} retry=${count('retry')} failed=${count('failed')} lease_lost=${count('lease_lost')}`);
+    return json({
+      ok: true, mode: 'post', dry_run: false,
+      posted: count('posted'), pending: count('pending'), retry: count('retry'), failed: count('failed'),
+      lease_lost: count('lease_lost'),
+      items
+    });
   }
 
   return json({ ok: false, error: 'bad_action', hint: "Use action=peek or action=post&dry_run=true" }, 400);
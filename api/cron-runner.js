@@ -1,7 +1,9 @@
-// /api/cron-runner.js  (v1 — peek or claim due items)
+// /api/cron-runner.js  (v2 — peek, lease-claim or reclaim due items)
+import crypto from 'node:crypto';
 import { supabaseAdmin } from '../lib/supabase.js';
 
 const CRON_TOKEN = process.env.CRON_TOKEN || process.env.ADMIN_API_TOKEN;
+const LEASE_SECONDS = Number(process.env.LEASE_SECONDS || 300); // publisher must finish within this
 
 function json(body, status = 200) {
   return new Response(JSON.stringify(body), {
@@ -10,6 +12,16 @@ function json(body, status = 200) {
   });
 }
 
+// Claimed but never posted, and the lease ran out (or a pre-lease claim older than one lease)
+function whereLeaseExpired(qb, nowIso) {
+  const legacyCutoff = new Date(Date.parse(nowIso) - LEASE_SECONDS * 1000).toISOString();
+  return qb
+    .eq('status', 'approved')
+    .not('queued_at', 'is', null)
+    .is('posted_at', null)
+    .or(`lease_expires_at.lt.${nowIso},and(lease_expires_at.is.null,queued_at.lt.${legacyCutoff})`);
+}
+
 export async function GET(request) {
   const url = new URL(request.url);
 
@@ -21,50 +33,69 @@ export async function GET(request) {
     return json({ ok: false, error: 'unauthorized' }, 401);
   }
 
-  const action = (url.searchParams.get('action') || 'peek').toLowerCase();
+  const action = (url.searchParams.get('action') || 'peek').toLowerCase(); // peek | claim | reclaim
   const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '100', 10), 1), 500);
+  const worker = url.searchParams.get('worker') || `runner-${crypto.randomUUID()}`;
   const nowIso = new Date().toISOString();
 
-  const baseSelect = supabaseAdmin
-    .from('draft_posts')
-    .select('id, from_wa, source_message_id, status, approved_at, scheduled_at, queued_at')
-    .eq('status', 'approved')
-    .not('scheduled_at', 'is', null)
-    .lte('scheduled_at', nowIso)
-    .order('scheduled_at', { ascending: true });
+  const columns = 'id, from_wa, source_message_id, status, approved_at, scheduled_at, queued_at, lease_owner, lease_expires_at, publish_attempts, next_attempt_at';
 
   if (action === 'peek') {
-    const { data, error } = await baseSelect
+    const { data, error } = await supabaseAdmin
+      .from('draft_posts')
+      .select(columns)
+      .eq('status', 'approved')
+      .not('scheduled_at', 'is', null)
+      .lte('scheduled_at', nowIso)
       .is('queued_at', null)
+      .or(`next_attempt_at.is.null,next_attempt_at.lte.${nowIso}`) // failed publishes wait out their backoff
+      .order('scheduled_at', { ascending: true })
       .range(0, limit - 1);
     if (error) return json({ ok: false, error: error.message }, 500);
-    console.log(`[cron-runner] peek due=${data?.length || 0} at ${nowIso}`);
-    return json({ ok: true, mode: 'peek', now: nowIso, count: data?.length || 0, items: data || [] });
+
+    const { data: stuck, error: stuckErr } = await whereLeaseExpired(
+      supabaseAdmin.from('draft_posts').select(columns), nowIso
+    )
+      .order('queued_at', { ascending: true })
+      .range(0, limit - 1);
+    if (stuckErr) return json({ ok: false, error: stuckErr.message }, 500);
+
+    console.log(`[cron-runner] peek due=${data?.length || 0} stuck=${stuck?.length || 0} at ${nowIso}`);
+    return json({
+      ok: true, mode: 'peek', now: nowIso,
+      count: data?.length || 0, items: data || [],
+      stuck_count: stuck?.length || 0, stuck: stuck || []
+    });
   }
 
   if (action === 'claim') {
-    // Step 1: pick up to N due, unqueued items
-    const { data: due, error: selErr } = await baseSelect
-      .is('queued_at', null)
-      .range(0, limit - 1)
-      .select('id'); // narrow select for the first step
-    if (selErr) return json({ ok: false, error: selErr.message }, 500);
-    const ids = (due || []).map(r => r.id);
-    if (!ids.length) return json({ ok: true, mode: 'claim', now: nowIso, claimed: 0, items: [] });
-
-    // Step 2: atomically mark them queued (idempotent guard queued_at IS NULL)
-    const { data: claimed, error: updErr } = await supabaseAdmin
-      .from('draft_posts')
-      .update({ queued_at: nowIso })
-      .in('id', ids)
-      .is('queued_at', null)
-      .select('id, from_wa, source_message_id, status, approved_at, scheduled_at, queued_at')
-      .order('scheduled_at', { ascending: true });
-    if (updErr) return json({ ok: false, error: updErr.message }, 500);
+    // Single statement: pick due rows FOR UPDATE SKIP LOCKED and stamp queued_at + lease
+    const { data: claimed, error } = await supabaseAdmin.rpc('claim_due_drafts', {
+      p_limit: limit,
+      p_worker: worker,
+      p_lease_seconds: LEASE_SECONDS
+    });
+    if (error) return json({ ok: false, error: error.message }, 500);
+
+    const items = (claimed || [])
+      .map(({ id, from_wa, scheduled_at, queued_at, lease_owner, lease_expires_at, publish_attempts }) =>
+        ({ id, from_wa, scheduled_at, queued_at, lease_owner, lease_expires_at, publish_attempts }))
+      .sort((a, b) => String(a.scheduled_at).localeCompare(String(b.scheduled_at)));
+
+    console.log(`[cron-runner] claimed=${items.length} worker=${worker} at ${nowIso}`);
+    return json({ ok: true, mode: 'claim', now: nowIso, worker, claimed: items.length, items });
+  }
+
+  if (action === 'reclaim') {
+    // Release expired leases so the next claim picks these rows up again
+    const { data, error } = await whereLeaseExpired(
+      supabaseAdmin.from('draft_posts').update({ queued_at: null, lease_owner: null, lease_expires_at: null }), nowIso
+    ).select('id');
+    if (error) return json({ ok: false, error: error.message }, 500);
 
-    console.log(`[cron-runner] claimed=${claimed?.length || 0} at ${nowIso}`);
-    return json({ ok: true, mode: 'claim', now: nowIso, claimed: claimed?.length || 0, items: claimed || [] });
+    if (data?.length) console.warn(`[cron-runner] reclaimed=${data.length} ids=${data.map(r => r.id).join(',')}`);
+    return json({ ok: true, mode: 'reclaim', now: nowIso, reclaimed: data?.length || 0, items: data || [] });
   }
 
-  return json({ ok: false, error: 'bad_action', hint: "Use action=peek or action=claim" }, 400);
+  return json({ ok: false, error: 'bad_action', hint: "Use action=peek, action=claim or action=reclaim" }, 400);
 }
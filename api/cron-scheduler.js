@@ -1,8 +1,9 @@
-// /api/cron-scheduler.js  (Option C • sheetless, JSON-driven)
+// /api/cron-scheduler.js  (Option C • sheetless, JSON-driven, per-client windows)
 import { supabaseAdmin } from '../lib/supabase.js';
-import { loadWindows, nextSlotSimple } from '../lib/scheduling.js';
+import { loadWindows, loadTakenTimes, planSlots } from '../lib/scheduling.js';
 
 const CRON_TOKEN = process.env.CRON_TOKEN || process.env.ADMIN_API_TOKEN;
+const PLAN_HORIZON_DAYS = Number(process.env.PLAN_HORIZON_DAYS || 14);
 
 function json(body, status = 200) {
   return new Response(JSON.stringify(body), {
@@ -25,11 +26,10 @@ export async function GET(request) {
   const dryRun  = (url.searchParams.get('dry_run') || 'false').toLowerCase() === 'true';
   const limit   = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '50', 10), 1), 200);
   const nowUtc  = new Date();
+  const horizonDays = Math.min(Math.max(parseInt(url.searchParams.get('horizon_days') || String(PLAN_HORIZON_DAYS), 10), 1), 60);
+  const seedParam = url.searchParams.get('seed'); // fixed seed → reproducible jitter
 
-  // 1) Load global windows JSON (Option C)
-  const windows = await loadWindows();
-
-  // 2) Find items needing scheduling
+  // 1) Find items needing scheduling
   const { data: need, error: selErr } = await supabaseAdmin
     .from('draft_posts')
     .select('id, from_wa, source_message_id, status, schedule_strategy, scheduled_at')
@@ -45,14 +45,36 @@ export async function GET(request) {
     return json({ ok: true, mode: 'peek', count: need?.length || 0, items: need || [] });
   }
 
-  // 3) PLAN: compute a time per row (respecting simple cooldown + jitter)
-  const computed = (need || []).map(r => ({
-    id: r.id,
-    scheduled_at: nextSlotSimple({ windows, nowUtc })
-  }));
+  // 2) Group by client: each client has its own windows, caps and already-taken times
+  const byClient = new Map();
+  for (const r of need || []) {
+    const key = r.from_wa || '';
+    if (!byClient.has(key)) byClient.set(key, []);
+    byClient.get(key).push(r);
+  }
+
+  // 3) PLAN: fill the client's free slots across the horizon (daily cap, min gap, spread)
+  const computed = [];
+  const unplanned = [];
+  for (const [fromWa, rows] of byClient) {
+    const windows = await loadWindows(fromWa || null);
+    const existing = await loadTakenTimes(fromWa, nowUtc, windows);
+    const plan = planSlots({
+      windows,
+      count: rows.length,
+      nowUtc,
+      existing,
+      horizonDays,
+      seed: seedParam ?? `${fromWa}:${rows.map(r => r.id).join(',')}`
+    });
+    rows.forEach((r, i) => {
+      if (plan[i]) computed.push({ id: r.id, tz: windows.tz, scheduled_at: plan[i] });
+      else unplanned.push(r.id); // no room in the horizon yet — retried on a later tick
+    });
+  }
 
   if (dryRun) {
-    return json({ ok: true, mode: 'plan', dry_run: true, planned: computed.length, items: computed });
+    return json({ ok: true, mode: 'plan', dry_run: true, planned: computed.length, unplanned, items: computed });
   }
 
   // 4) Write back per row (distinct timestamp per id)
@@ -73,5 +95,5 @@ export async function GET(request) {
   }
 
   const okItems = results.filter(x => x && x.id);
-  return json({ ok: true, mode: 'plan', planned: okItems.length, items: okItems });
+  return json({ ok: true, mode: 'plan', planned: okItems.length, unplanned, items: okItems });
 }
@@ -3,6 +3,19 @@ import { supabaseAdmin } from '../lib/supabase.js';
 import { saveWaMediaById } from '../lib/wa-media.js';
 import { generateCaptionAndTags } from '../lib/generate.js'; // NEW: AI caption generator
 import { parseConstraints } from '../lib/constraints.js';
+import { parseFacts, mergeFacts } from '../lib/facts.js';
+import { loadClientRow, brandingFromClient } from '../lib/clients.js';
+import { loadWindows, loadTakenTimes, suggestSlots, formatSlot } from '../lib/scheduling.js';
+import { resolveWhen } from '../lib/when.js';
+import { deriveMedia, hasImageEdits, brandDraftMedia } from '../lib/media-process.js';
+import { checkBudget, recordGeneration } from '../lib/usage.js';
+import { selectTemplate, renderTemplate } from '../lib/prompts.js';
+import { recordEditSignals, preferenceUpdate, describeSignal } from '../lib/preferences.js';
+import { classifyIntent, IMAGE_EDIT_EXAMPLES, EDIT_EXAMPLES } from '../lib/intent.js';
+import { normalizeWa, getConversation, setConversation, endConversation } from '../lib/conversations.js';
+import { recordOutboundMessages, draftIdForContext } from '../lib/outbound.js';
+import { parseQueueCommand, buildQueueText, applyQueueCommand } from '../lib/queue.js';
+import { splitMessages, processBatch } from '../lib/webhook-batch.js';
 
 const VERIFY_TOKEN = process.env.WA_VERIFY_TOKEN || 'abc';
 const AUTO_PREVIEW = process.env.AUTO_PREVIEW === '1';
@@ -36,6 +49,8 @@ const WELCOME_ALWAYS = process.env.WELCOME_ALWAYS === '1';  // test mode: send w
 const DRAFT_EXPIRY_SECONDS = Number(process.env.DRAFT_EXPIRY_SECONDS || 3600);
 const EXPIRED_DRAFT_TEXT = process.env.EXPIRED_DRAFT_TEXT
   || "This draft expired because it wasn’t approved within an hour. Please send a new image.";
+const LOCKED_DRAFT_TEXT = process.env.LOCKED_DRAFT_TEXT
+  || "That post is already scheduled or posted, so it can’t be edited here. Reply “cancel <id>” to stop it, or send a new image.";
 
 // -------- helpers --------
 
@@ -44,7 +59,7 @@ async function fetchDraftMeta(draftId) {
   if (!supabaseAdmin || !Number.isFinite(draftId)) return null;
   const { data, error } = await supabaseAdmin
     .from('draft_posts')
-    .select('id,status,schedule_strategy,created_at,from_wa')
+    .select('id,status,schedule_strategy,created_at,from_wa,posted_at')
     .eq('id', draftId)
     .limit(1)
     .maybeSingle();
@@ -60,9 +75,16 @@ function isDraftExpired(row) {
   return ageSec > DRAFT_EXPIRY_SECONDS;
 }
 
+// Still open for edits: not scheduled, not posted (approved-but-unscheduled still counts)
+function isDraftEditable(row) {
+  if (!row || row.schedule_strategy || row.posted_at) return false;
+  return row.status === 'draft' || row.status === 'approved';
+}
+
 async function bailIfExpired(draftId, toWa) {
   const row = await fetchDraftMeta(draftId);
   if (isDraftExpired(row)) {
+    if (Number.isFinite(draftId)) await endConversation(toWa, draftId);
     if (toWa && PHONE_ID && TOKEN) {
       try { await sendWaText(toWa, EXPIRED_DRAFT_TEXT); } catch {}
     }
@@ -96,6 +118,89 @@ async function loadNextPendingDraftForClient(supabase, fromWa, excludeId) {
 }
 
 
+// The client's latest approved posts, newest first: their hashtags drive pool rotation
+// (lib/hashtags.js), their captions are few-shot examples of the brand voice
+async function loadRecentApproved(fromWa, limit = 10) {
+  if (!supabaseAdmin || !fromWa) return { hashtags: [], examples: [] };
+  const { data, error } = await supabaseAdmin
+    .from('draft_posts')
+    .select('caption_final, hashtags')
+    .eq('from_wa', fromWa)
+    .not('approved_at', 'is', null)
+    .order('approved_at', { ascending: false })
+    .limit(limit);
+  if (error) {
+    console.error('recent approved lookup failed:', error.message || error);
+    return { hashtags: [], examples: [] };
+  }
+  return {
+    hashtags: (data || []).map(r => (Array.isArray(r.hashtags) ? r.hashtags : [])),
+    examples: [...new Set((data || []).map(r => r.caption_final).filter(Boolean))]
+  };
+}
+
+// Prompt templates for one generation (lib/prompts.js): the caption preamble, plus the
+// edit / dislike seed template. `main` is the one the draft records.
+async function pickTemplates(purpose, fromWa, clientPrefs) {
+  const scope = { clientKey: fromWa, businessType: clientPrefs?.business_type || null };
+  const caption = await selectTemplate({ purpose: 'caption', ...scope });
+  const main = purpose === 'caption' ? caption : await selectTemplate({ purpose, ...scope });
+  return { caption, main };
+}
+
+// Every caption generation goes through the client's monthly LLM budget first. Over budget → null,
+// and callers fall back to the client's own text exactly as they do when the generator fails.
+async function generateForClient(args, fromWa, templates) {
+  const budget = await checkBudget(fromWa, args.clientPrefs || {});
+  if (budget.over) {
+    console.warn(`[usage] ${fromWa} over monthly LLM budget (${budget.spent_usd.toFixed(4)} / ${budget.budget_usd} USD), using raw text`);
+    return null;
+  }
+  const preamble = renderTemplate(templates.caption, { business_type: args.clientPrefs?.business_type });
+  const recent = await loadRecentApproved(fromWa);
+  const gen = await generateCaptionAndTags({ ...args, preamble, recentHashtags: recent.hashtags, examples: recent.examples });
+  return { ...gen, templates };
+}
+
+// `gen` is a generation result, or the error it threw (generate.js attaches the calls made so far as e.usage)
+async function logGenerationUsage(gen, { fromWa, draftId = null, purpose, clientPrefs }) {
+  if (!gen?.usage?.length) return;
+  await recordGeneration({ fromWa, clientId: clientPrefs?.client_id ?? null, draftId, purpose, calls: gen.usage });
+}
+
+// Short-lived URL the caption model can fetch; only for images (videos/documents are captioned from text)
+async function imageUrlForModel(draft) {
+  if (!draft?.media_path || !supabaseAdmin) return null;
+  if (draft.media_mime && !String(draft.media_mime).startsWith('image/')) return null;
+  try {
+    const { data } = await supabaseAdmin.storage.from('media').createSignedUrl(draft.media_path, 600);
+    return data?.signedUrl || null;
+  } catch (e) {
+    console.error('sign url for model failed:', e?.message || e);
+    return null;
+  }
+}
+
+// The file the client previews is the file that gets published: the logo-stamped copy when the
+// client has a logo (remembered in media_branded_path for the publisher), else the draft's media.
+async function previewMediaPath(draft, clientPrefs) {
+  if (!draft?.media_path) return null;
+  try {
+    const branded = await brandDraftMedia(draft, clientPrefs?.branding || null);
+    if (branded) {
+      const { error } = await supabaseAdmin
+        .from('draft_posts')
+        .update({ media_branded_path: branded.path })
+        .eq('id', draft.id);
+      if (error) console.error('save branded path failed:', error.message || error);
+      return branded.path;
+    }
+  } catch (e) {
+    console.error('logo overlay failed, previewing plain media:', e?.message || e);
+  }
+  return draft.media_path;
+}
+
 // Send preview (media/text) + buttons for a specific draft row
 async function sendPreviewForDraftRow(draft, clientPrefs) {
   if (!draft || !PHONE_ID || !TOKEN) return false;
@@ -109,18 +214,22 @@ async function sendPreviewForDraftRow(draft, clientPrefs) {
       const inline = parseConstraints(draft.text_body || '');
       const merged = mergeConstraintsWithPrefs(inline, clientPrefs || {});
       const seedWithCtx = (draft.text_body || '') + buildBusinessContextLine(clientPrefs || {});
-      const gen = await generateCaptionAndTags({
+      const gen = await generateForClient({
         seedText: seedWithCtx,
         constraints: merged,
-        clientPrefs: clientPrefs || {}
-      });
+        clientPrefs: clientPrefs || {},
+        imageUrl: await imageUrlForModel(draft)
+      }, to, await pickTemplates('caption', to, clientPrefs));
+      await logGenerationUsage(gen, { fromWa: to, draftId: draft.id, purpose: 'preview', clientPrefs });
       const modelCaption = gen?.caption_final || null;
       const hashtags = Array.isArray(gen?.hashtags) ? gen.hashtags : [];
       const tagLine = hashtags.length ? '\n\n' + hashtags.join(' ') : '';
       caption = (modelCaption || caption) + tagLine;
+      if (modelCaption) await saveGeneratedCaption(draft.id, gen);
     }
   } catch (e) {
     console.error('auto-advance: generator failed, falling back to caption', e?.message || e);
+    await logGenerationUsage(e, { fromWa: to, draftId: draft.id, purpose: 'preview', clientPrefs });
   }
 
   // Sign media, if any
@@ -130,7 +239,7 @@ async function sendPreviewForDraftRow(draft, clientPrefs) {
       const { data: signed } = await supabaseAdmin
         .storage
         .from('media')
-        .createSignedUrl(draft.media_path, 300);
+        .createSignedUrl(await previewMediaPath(draft, clientPrefs), 300);
       mediaSignedUrl = signed?.signedUrl || null;
     } catch (e) {
       console.error('auto-advance: sign url failed', e?.message || e);
@@ -139,6 +248,7 @@ async function sendPreviewForDraftRow(draft, clientPrefs) {
 
   const endpoint = `https://graph.facebook.com/v20.0/${PHONE_ID}/messages`;
   let firstMsgId = null;
+  let buttonsMsgId = null;
 
   // Message 1: media or text
   try {
@@ -183,11 +293,14 @@ async function sendPreviewForDraftRow(draft, clientPrefs) {
       body: JSON.stringify(buttonsPayload)
     });
     const j2 = await res2.json().catch(() => ({}));
-    if (!res2.ok) console.error('auto-advance: buttons failed', res2.status, j2?.error || j2);
+    if (res2.ok) buttonsMsgId = j2?.messages?.[0]?.id || null;
+    else console.error('auto-advance: buttons failed', res2.status, j2?.error || j2);
   } catch (e) {
     console.error('auto-advance: send buttons error', e?.message || e);
   }
 
+  await recordOutboundMessages(supabaseAdmin, to, draft.id, { preview: firstMsgId, buttons: buttonsMsgId });
+  await setConversation(to, 'reviewing', draft.id);
   return true;
 }
 
@@ -245,17 +358,33 @@ async function loadDraftBySourceId(supabase, sourceMessageId) {
   return data[0];
 }
 
+// Persist what the client is about to preview, so the publisher posts exactly that
+function generatedCaptionFields(gen = {}) {
+  return {
+    caption_final: gen.caption_final || null,
+    hashtags: Array.isArray(gen.hashtags) ? gen.hashtags : [],
+    captions_json: gen.captions || null,
+    prompt_template_id: gen.templates?.main?.id ?? null,
+    prompt_versions: gen.templates
+      ? { caption: gen.templates.caption.version, [gen.templates.main.purpose]: gen.templates.main.version }
+      : null,
+    alt_text: gen.alt_text || null,
+    validation_failures: Array.isArray(gen.validation_failures) ? gen.validation_failures : []
+  };
+}
 
-// --- utils for client prefs ---
-function toE164Candidate(msisdn) {
-  if (!msisdn) return null;
-  const s = String(msisdn).trim();
-  if (s.startsWith('+')) return s;
-  // WhatsApp sends digits with country code, no '+'. Accept 7..15 digits.
-  if (/^\d{7,15}$/.test(s)) return '+' + s;
-  return null;
+// `gen` is the generateCaptionAndTags result; per-platform versions go to captions_json
+async function saveGeneratedCaption(draftId, gen = {}) {
+  if (!supabaseAdmin || !Number.isFinite(Number(draftId))) return;
+  const { error } = await supabaseAdmin
+    .from('draft_posts')
+    .update(generatedCaptionFields(gen))
+    .eq('id', draftId);
+  if (error) console.error('save generated caption failed:', error.message || error);
 }
 
+
+// --- utils for client prefs ---
 function splitCsv(txt) {
   if (!txt) return [];
   return String(txt)
@@ -269,12 +398,13 @@ function normalizeClientPrefsRow(row = {}) {
   const hashtagsPref = splitCsv(row.hashtags_pref);
   return {
     // knobs used by /lib/generate.js defaults
-    language: row.language || 'EN',
+    language: String(row.language || 'EN').toUpperCase(), // 'HU', 'EN', or bilingual 'HU+EN'
     tone: row.tone || 'casual',
     length: row.length || 'short',
     emoji, // 'on' | 'off'
     hashtags: hashtagsPref,         // array of preferred tags (no #)
     hashtags_max: Number(row.hashtags_max ?? 6),
+    hashtag_library: row.hashtag_library || null, // always / pools / banned (lib/hashtags.js)
 
     // extra guidance we’ll inject into the seed
     business_type: row.business_type || null,
@@ -288,31 +418,25 @@ function normalizeClientPrefsRow(row = {}) {
     banned_words: splitCsv(row.banned_words),
     cta_pool: splitCsv(row.cta_pool),
 
+    // usage metering (lib/usage.js); null budget = LLM_MONTHLY_BUDGET_USD env, unset = unlimited
+    client_id: row.id ?? null,
+    monthly_budget_usd: row.llm_monthly_budget_usd != null ? Number(row.llm_monthly_budget_usd) : null,
+
+    // logo overlay (lib/media-process.js); null = no logo on file
+    branding: brandingFromClient(row),
+
+    // caption model (lib/llm.js): 'openai' | 'anthropic' | 'local' | 'fake'; null = env default
+    llm_provider: row.llm_provider || null,
+    llm_model: row.llm_model || null,
+
     // ops flags (fyi; we don’t switch behavior yet)
     state: row.state || 'preview_only'
   };
 }
 
 async function loadClientPrefs(supabase, fromWa) {
-  try {
-    const e164 = toE164Candidate(fromWa);
-    if (!e164 || !supabase) return null;
-    const { data, error } = await supabase
-      .from('clients')
-      .select('*')
-      .eq('phone_e164', e164)
-      .limit(1)
-      .maybeSingle();
-    if (error) {
-      console.warn('clients lookup error:', error.message || error);
-      return null;
-    }
-    if (!data) return null;
-    return normalizeClientPrefsRow(data);
-  } catch (e) {
-    console.warn('clients lookup exception:', e?.message || e);
-    return null;
-  }
+  const row = await loadClientRow(supabase, fromWa);
+  return row ? normalizeClientPrefsRow(row) : null;
 }
 
 function mergeConstraintsWithPrefs(cons = {}, prefs = {}) {
@@ -329,6 +453,11 @@ function mergeConstraintsWithPrefs(cons = {}, prefs = {}) {
   return out;
 }
 
+// Must-keep facts of the draft an edit / regeneration starts from (older drafts have none stored)
+function parentFacts(parent = {}) {
+  return parent.constraints_json?.facts || parseFacts(parent.text_body || '');
+}
+
 function buildBusinessContextLine(prefs = {}) {
   const bits = [];
   if (prefs.business_type) bits.push(`We are a ${prefs.business_type}.`);
@@ -362,6 +491,7 @@ async function isFirstContact(supabase, fromWa) {
 
 
 async function recordEvent(supabase, row) {
+  if (!supabase) return;
   // Guard against bad rows
   if (!row || !row.wa_message_id) {
     console.warn('events: skip insert (missing wa_message_id)');
@@ -414,6 +544,8 @@ function parseWaEvent(envelope) {
     const from_wa = msg?.from || value?.contacts?.[0]?.wa_id || null;
     const wa_message_id = msg?.id || null;
     const event_type = msg?.type || null;
+    // Swipe-reply: id of the message of ours being quoted (a preview or its buttons)
+    const context_id = msg?.context?.id || null;
 
     let media_id = null;
     let text_body = null;
@@ -436,12 +568,15 @@ function parseWaEvent(envelope) {
       media_id = msg?.sticker?.id || null;
     } else if (event_type === 'interactive') { // NEW
       if (msg?.interactive?.type === 'button_reply') {
-        // e.g., "approve:123", "request_edit:123", "postnow:123", "aisched:123"
+        // e.g., "approve:123", "request_edit:123", "postnow:123", "aisched:123", "picktime:123"
         interactive_id = msg?.interactive?.button_reply?.id || null;
+      } else if (msg?.interactive?.type === 'list_reply') {
+        // e.g., "slot:123:1761030000" (draft id + unix seconds)
+        interactive_id = msg?.interactive?.list_reply?.id || null;
       }
     }
 
-    return { wa_message_id, from_wa, event_type, media_id, text_body, interactive_id };
+    return { wa_message_id, from_wa, event_type, media_id, text_body, interactive_id, context_id };
   } catch {
     return {
       wa_message_id: null,
@@ -449,7 +584,8 @@ function parseWaEvent(envelope) {
       event_type: null,
       media_id: null,
       text_body: null,
-      interactive_id: null
+      interactive_id: null,
+      context_id: null
     };
   }
 }
@@ -474,6 +610,167 @@ async function sendWaText(to, body) {
   return data;
 }
 
+async function sendWaInteractive(to, interactive) {
+  const res = await fetch(`https://graph.facebook.com/v20.0/${PHONE_ID}/messages`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${TOKEN}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ messaging_product: 'whatsapp', to, type: 'interactive', interactive })
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(JSON.stringify(data));
+  return data;
+}
+
+// Offer a caption knob the client keeps asking for in edits as their saved default (lib/preferences.js)
+async function suggestSavedDefault(fromWa, editText) {
+  if (!supabaseAdmin || !PHONE_ID || !TOKEN || !fromWa) return;
+  try {
+    const row = await loadClientRow(supabaseAdmin, fromWa);
+    const [signal] = await recordEditSignals(supabaseAdmin, row, parseConstraints(editText || ''));
+    if (!signal) return;
+    await sendWaInteractive(fromWa, {
+      type: 'button',
+      body: { text: `You’ve asked for ${describeSignal(signal)} a few times. Make it the default for new posts?` },
+      action: {
+        buttons: [
+          { type: 'reply', reply: { id: `savepref:${signal}`, title: 'Save as default' } },
+          { type: 'reply', reply: { id: `nopref:${signal}`, title: 'No thanks' } }
+        ]
+      }
+    });
+  } catch (e) {
+    console.error('default suggestion failed:', e?.message || e);
+  }
+}
+
+// Classifier result on the inbound message's events row (lib/intent.js)
+async function recordEventIntent(waMessageId, result) {
+  if (!supabaseAdmin || !waMessageId || !result) return;
+  const { error } = await supabaseAdmin
+    .from('events')
+    .update({ intent: result.intent, intent_source: result.source })
+    .eq('wa_message_id', waMessageId);
+  if (error) console.error('events intent update failed:', error.message || error);
+}
+
+const IMAGE_EDIT_HINT =
+  `For the photo, reply with one of: ${IMAGE_EDIT_EXAMPLES.map(p => `“${p}”`).join(', ')}. To use a different photo, send it as a new message.`;
+
+/**
+ * Reply that arrived while `parent` waits for an edit but isn't a change to make (schedule / cancel /
+ * question / an image change we can't render). Handles it and returns the response kind; null = make a variant.
+ */
+async function handleNonEditIntent(result, parent, { fromWa, textBody, clientPrefs }) {
+  const say = async (text) => {
+    if (PHONE_ID && TOKEN) { try { await sendWaText(fromWa, text); } catch {} }
+  };
+  const backToReview = () => setConversation(fromWa, 'reviewing', parent.id);
+
+  if (result.intent === 'cancel') {
+    await backToReview();
+    await say(`Okay, I left #${parent.id} as it is. To drop the post, send “cancel ${parent.id}”.`);
+    return 'edit:cancel';
+  }
+
+  if (result.intent === 'question') {
+    // Still waiting for the edit
+    await say(`I can’t answer questions here yet — I’m still waiting for your changes to #${parent.id} (e.g. shorter text, brighter photo). Send “cancel” to leave it as it is.`);
+    return 'edit:question';
+  }
+
+  if (result.intent === 'image_edit' && !Object.keys(parseConstraints(textBody || '', { imageEdit: true }).image).length) {
+    await say(IMAGE_EDIT_HINT);
+    return 'edit:image_unsupported';
+  }
+
+  if (result.intent === 'schedule') {
+    // A typed "post it tomorrow" is a guess from the classifier: the client confirms before it's approved
+    await backToReview();
+    const windows = await loadWindows(fromWa);
+    const at = result.at && result.at.getTime() > Date.now() ? result.at : null;
+    const confirmId = at ? `schedok:${parent.id}:${Math.floor(at.getTime() / 1000)}` : `schedok:${parent.id}`;
+    const question = at
+      ? `Approve #${parent.id} and post it ${formatSlot(at, windows.tz, clientPrefs?.language)}?`
+      : `Approve #${parent.id} and pick a time to post it?`;
+    if (PHONE_ID && TOKEN) {
+      try {
+        await sendWaInteractive(fromWa, {
+          type: 'button',
+          body: { text: question },
+          action: {
+            buttons: [
+              { type: 'reply', reply: { id: confirmId, title: 'Approve & schedule' } },
+              { type: 'reply', reply: { id: `schednot:${parent.id}`, title: 'Not yet' } }
+            ]
+          }
+        });
+      } catch (e) {
+        console.error('schedule intent: confirm failed:', e?.message || e);
+      }
+    }
+    return 'schedule:confirm';
+  }
+
+  return null;
+}
+
+// --- "Pick a time" helpers ---
+const PICK_TIME_HINT =
+  'Pick a suggested time, or just type one (e.g. "tomorrow 9:00", "Friday 7pm", "holnap 18:00", "szombat reggel").';
+
+// List message with the client's next free slots (ids: slot:<draftId>:<unixSec>)
+async function sendTimePicker(to, draftId, clientPrefs) {
+  const windows = await loadWindows(to);
+  const existing = await loadTakenTimes(to, new Date(), windows);
+  const slots = suggestSlots({ windows, existing, count: 5 });
+  if (!slots.length) return sendWaText(to, PICK_TIME_HINT);
+
+  const rows = slots.map(at => ({
+    id: `slot:${draftId}:${Math.floor(Date.parse(at) / 1000)}`,
+    title: formatSlot(at, windows.tz, clientPrefs?.language).slice(0, 24)
+  }));
+  return sendWaInteractive(to, {
+    type: 'list',
+    body: { text: PICK_TIME_HINT },
+    action: { button: 'Suggested times', sections: [{ title: 'Next free slots', rows }] }
+  });
+}
+
+// Set a client-chosen time; confirms in the client's timezone
+async function scheduleDraftManual(draftId, at, fromWa, clientPrefs) {
+  if (!supabaseAdmin || !Number.isFinite(draftId) || !Number.isFinite(at?.getTime?.())) return false;
+  if (at.getTime() < Date.now() - 60 * 1000) {
+    if (fromWa) { try { await sendWaText(fromWa, 'That time has already passed — please pick a later one. 🕒'); } catch {} }
+    return false;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('draft_posts')
+    .update({ schedule_strategy: 'manual', scheduled_at: at.toISOString() })
+    .eq('id', draftId)
+    .eq('status', 'approved')
+    .is('posted_at', null)
+    .select('id')
+    .maybeSingle();
+  if (error || !data) {
+    console.error('manual schedule failed:', error?.message || 'draft not schedulable', { draftId });
+    return false;
+  }
+  await endConversation(fromWa, draftId);
+
+  if (fromWa && PHONE_ID && TOKEN) {
+    const windows = await loadWindows(fromWa);
+    try { await sendWaText(fromWa, `Scheduled for ${formatSlot(at, windows.tz, clientPrefs?.language)} 📅`); } catch {}
+    try { await maybeAutoAdvanceNextPreview(fromWa, draftId); } catch (e) {
+      console.error('auto-advance(manual) failed:', e?.message || e);
+    }
+  }
+  return true;
+}
+
 
 // -------- routes --------
 
@@ -518,47 +815,83 @@ export async function POST(request) {
     });
   }
 
-  // 3.5) STATUS callbacks (sent/delivered/read/failed) — log them and ACK early
+  // 3.5) STATUS callbacks (sent/delivered/read/failed) — logged, nothing else to do
   // These arrive after you send a preview; they do NOT have value.messages[0].id,
   // but they DO have value.statuses[].id (the message id the status refers to).
-  {
-    const entries = Array.isArray(body?.entry) ? body.entry : [];
-    let sawStatus = false;
-
-    for (const entry of entries) {
-      const changes = Array.isArray(entry?.changes) ? entry.changes : [];
-      for (const change of changes) {
-        const statuses = change?.value?.statuses;
-        if (Array.isArray(statuses) && statuses.length) {
-          sawStatus = true;
-          for (const s of statuses) {
-            await recordEvent(supabaseAdmin, {
-              wa_message_id: s.id,                  // message id referenced by this status
-              from_wa: s.recipient_id || null,      // number we sent to
-              event_type: `status:${s.status}`,     // e.g. status:sent | status:delivered
-              raw: s
-            });
-          }
+  let sawStatus = false;
+  for (const entry of Array.isArray(body?.entry) ? body.entry : []) {
+    for (const change of Array.isArray(entry?.changes) ? entry.changes : []) {
+      const statuses = change?.value?.statuses;
+      if (Array.isArray(statuses) && statuses.length) {
+        sawStatus = true;
+        for (const s of statuses) {
+          await recordEvent(supabaseAdmin, {
+            wa_message_id: s.id,                  // message id referenced by this status
+            from_wa: s.recipient_id || null,      // number we sent to
+            event_type: `status:${s.status}`,     // e.g. status:sent | status:delivered
+            raw: s
+          });
         }
       }
     }
+  }
 
-    if (sawStatus) {
-      return new Response(JSON.stringify({ ok: true, kind: 'status' }), {
-        headers: { 'content-type': 'application/json; charset=utf-8' }
-      });
-    }
+  // 4) every message in the delivery, one at a time; Meta batches (e.g. three photos sent at once)
+  const envelopes = splitMessages(body);
+  if (!envelopes.length) {
+    return new Response(JSON.stringify({ ok: true, kind: sawStatus ? 'status' : 'empty' }), {
+      headers: { 'content-type': 'application/json; charset=utf-8' }
+    });
   }
 
-  // 4) normalize fields (now includes media_id + text_body + interactive_id)
-  const { wa_message_id, from_wa, event_type, media_id, text_body, interactive_id } = parseWaEvent(body);
+  const { results, retry } = await processBatch(supabaseAdmin, envelopes, handleInboundMessage);
+
+  // 9) ack to Meta with a per-message summary. A 5xx makes Meta redeliver the batch;
+  // processBatch (lib/webhook-batch.js) then skips the messages that finished this time.
+  return new Response(JSON.stringify({ ok: !retry, results }), {
+    status: retry ? 500 : 200,
+    headers: { 'content-type': 'application/json; charset=utf-8' }
+  });
+}
+
+// One inbound message; `body` is a single-message envelope from splitMessages → Response
+async function handleInboundMessage(body) {
+  // Normalize fields (now includes media_id + text_body + interactive_id)
+  const { wa_message_id, from_wa, event_type, media_id, text_body, interactive_id, context_id } = parseWaEvent(body);
 
   // Load client presets (safe no-op if not found)
   const clientPrefs = await loadClientPrefs(supabaseAdmin, from_wa);
 
-  // --- Welcome hub (first-contact & testing) ---
+  // Decided before this message's own events row exists (isFirstContact counts those rows)
+  const firstContact = WELCOME_FIRST && from_wa && event_type !== 'interactive'
+    ? await isFirstContact(supabaseAdmin, from_wa)
+    : false;
+
+  // 5) idempotent insert into Supabase (events log) — only if we have a message id
+  let redelivered = false;
+  if (supabaseAdmin) {
+    if (wa_message_id) {
+      const { data: insertedEvent, error } = await supabaseAdmin
+        .from('events')
+        .upsert(
+          { wa_message_id, from_wa, event_type, raw: body },
+          { onConflict: 'wa_message_id', ignoreDuplicates: true }
+        )
+        .select('wa_message_id');
+      if (error) console.error('Supabase upsert error:', error);
+      // Row already there → Meta is redelivering a message that failed half-way
+      else redelivered = !insertedEvent?.length;
+    } else {
+      // No message id → could be other webhook shapes, but we already handled statuses above.
+      console.warn('events: skip insert (no wa_message_id on this payload)');
+    }
+  } else {
+    console.warn('Supabase env not set; skipping DB insert.');
+  }
+
+  // --- Welcome hub (first-contact & testing) --- after the events write, so a redelivery doesn't repeat it
   // Keep welcomeSent in this POST scope so we can guard later auto-reply logic (Step 2D)
-  let welcomeSent = false;
+  let welcomeSent = redelivered;
   const isInteractive = event_type === 'interactive';
   
   // 1) Manual test keyword (works anytime): "WELCOME" or "/welcome"
@@ -576,7 +909,7 @@ export async function POST(request) {
     !welcomeSent &&
     from_wa &&
     !isInteractive &&
-    (WELCOME_ALWAYS || (WELCOME_FIRST && await isFirstContact(supabaseAdmin, from_wa)))
+    (WELCOME_ALWAYS || firstContact)
   ) {
     try {
       await sendWaText(from_wa, WELCOME_TEXT);
@@ -584,26 +917,11 @@ export async function POST(request) {
       console.error('Welcome (first/always) failed:', e?.message || e);
     }
     welcomeSent = true;
+    // A real first contact (not the test mode) starts onboarding; the first preview moves it on
+    if (!WELCOME_ALWAYS) await setConversation(from_wa, 'onboarding');
   }
 
 
-  // 5) idempotent insert into Supabase (events log) — only if we have a message id
-  if (supabaseAdmin) {
-    if (wa_message_id) {
-      const { error } = await supabaseAdmin
-        .from('events')
-        .upsert(
-          { wa_message_id, from_wa, event_type, raw: body },
-          { onConflict: 'wa_message_id', ignoreDuplicates: true }
-        );
-      if (error) console.error('Supabase upsert error:', error);
-    } else {
-      // No message id → could be other webhook shapes, but we already handled statuses above.
-      console.warn('events: skip insert (no wa_message_id on this payload)');
-    }
-  } else {
-    console.warn('Supabase env not set; skipping DB insert.');
-  }
 
   // --- Handle Approve button (interactive.button_reply) and exit early ---
   if (event_type === 'interactive' && interactive_id && interactive_id.startsWith('approve:')) {
@@ -645,7 +963,8 @@ export async function POST(request) {
                 action: {
                   buttons: [
                     { type: 'reply', reply: { id: `postnow:${draftId}`, title: 'Post now' } },
-                    { type: 'reply', reply: { id: `aisched:${draftId}`, title: 'Let AI schedule' } }
+                    { type: 'reply', reply: { id: `aisched:${draftId}`, title: 'Let AI schedule' } },
+                    { type: 'reply', reply: { id: `picktime:${draftId}`, title: 'Pick a time 🕒' } }
                   ]
                 }
               }
@@ -691,6 +1010,7 @@ export async function POST(request) {
             scheduled_at: new Date().toISOString()
           })
           .eq('id', draftId);
+        await endConversation(from_wa, draftId);
   
         if (from_wa && PHONE_ID && TOKEN) {
           try { await sendWaText(from_wa, 'Queued now. 📥'); } catch {}
@@ -731,6 +1051,7 @@ export async function POST(request) {
             scheduled_at: null // to be set by your AI scheduler later
           })
           .eq('id', draftId);
+        await endConversation(from_wa, draftId);
   
         if (from_wa && PHONE_ID && TOKEN) {
           try { await sendWaText(from_wa, 'Okay — I’ll queue this for AI scheduling. 🤖'); } catch {}
@@ -751,8 +1072,8 @@ export async function POST(request) {
 
 
 
-  // --- Handle Request edit button (interactive.button_reply) and exit early ---
-  if (event_type === 'interactive' && interactive_id && interactive_id.startsWith('request_edit:')) {
+  // --- Handle Pick a time (scheduling): list of free slots + typed times ---
+  if (event_type === 'interactive' && interactive_id && interactive_id.startsWith('picktime:')) {
     const idStr = interactive_id.split(':')[1];
     const draftId = Number(idStr);
     if (await bailIfExpired(draftId, from_wa)) {
@@ -761,70 +1082,135 @@ export async function POST(request) {
       });
     }
 
-
     if (Number.isFinite(draftId) && supabaseAdmin) {
       try {
-        // Ensure only ONE awaiting_edit per user: clear any previous flags for this number
-        if (from_wa) {
-          await supabaseAdmin
-            .from('draft_posts')
-            .update({ awaiting_edit: false })
-            .eq('from_wa', from_wa)
-            .eq('awaiting_edit', true);
-        }
+        // The next typed time is for this draft
+        await setConversation(from_wa, 'awaiting_time', draftId);
 
-        // Mark THIS draft as awaiting an edit message from the user (verify it sticks)
-        let flaggedOk = false;
-        try {
-          const { data: flagged, error: flagErr } = await supabaseAdmin
-            .from('draft_posts')
-            .update({ awaiting_edit: true })
-            .eq('id', draftId)    // update by id only (more robust)
-            .select()
-            .single();
-        
-          if (!flagErr && flagged) flaggedOk = true;
-        } catch (e) {
-          console.error('awaiting_edit flag set failed:', e?.message || e);
-        }
-        
-        if (!flaggedOk && from_wa) {
-          // Fallback: flag the most recent draft for this number
-          try {
-            const { data: latest, error: lErr } = await supabaseAdmin
-              .from('draft_posts')
-              .select('id')
-              .eq('from_wa', from_wa)
-              .order('id', { ascending: false })
-              .limit(1);
-        
-            const latestId = Array.isArray(latest) && latest.length ? latest[0].id : null;
-            if (latestId) {
-              await supabaseAdmin
-                .from('draft_posts')
-                .update({ awaiting_edit: true })
-                .eq('id', latestId);
-              flaggedOk = true;
-            } else {
-              console.error('awaiting_edit fallback: no latest draft found for', from_wa);
-            }
-          } catch (e) {
-            console.error('awaiting_edit fallback failed:', e?.message || e);
-          }
-        }
+        if (from_wa && PHONE_ID && TOKEN) await sendTimePicker(from_wa, draftId, clientPrefs);
       } catch (e) {
-        console.error('request_edit handler failed:', e?.message || e);
+        console.error('picktime handler failed:', e?.message || e);
       }
     }
 
+    return new Response(JSON.stringify({ ok: true, kind: 'schedule:pick' }), {
+      headers: { 'content-type': 'application/json; charset=utf-8' }
+    });
+  }
+
+  // --- Confirm (or not) a time typed as an edit reply: schedok:<id>[:<unixSec>] / schednot:<id> ---
+  if (event_type === 'interactive' && interactive_id && /^sched(ok|not):/.test(interactive_id)) {
+    const [action, idStr, secStr] = interactive_id.split(':');
+    const draftId = Number(idStr);
+    if (await bailIfExpired(draftId, from_wa)) {
+      return new Response(JSON.stringify({ ok: true, kind: 'expired' }), {
+        headers: { 'content-type': 'application/json; charset=utf-8' }
+      });
+    }
+
+    if (action === 'schednot') {
+      await setConversation(from_wa, 'reviewing', draftId);
+      if (PHONE_ID && TOKEN) { try { await sendWaText(from_wa, `Okay, #${draftId} stays a draft.`); } catch {} }
+      return new Response(JSON.stringify({ ok: true, kind: 'schedule:declined' }), {
+        headers: { 'content-type': 'application/json; charset=utf-8' }
+      });
+    }
 
+    // The button is the approval
+    const { error: apErr } = await supabaseAdmin
+      .from('draft_posts')
+      .update({ status: 'approved', approved_at: new Date().toISOString() })
+      .eq('id', draftId)
+      .eq('status', 'draft');
+    if (apErr) console.error('approve before schedule failed:', apErr.message || apErr);
+    if (PHONE_ID && TOKEN) { try { await sendWaText(from_wa, `Approved #${draftId} ✅`); } catch {} }
+
+    if (secStr) {
+      const ok = await scheduleDraftManual(draftId, new Date(Number(secStr) * 1000), from_wa, clientPrefs);
+      return new Response(JSON.stringify({ ok: true, kind: ok ? 'schedule:manual' : 'schedule:manual_failed' }), {
+        headers: { 'content-type': 'application/json; charset=utf-8' }
+      });
+    }
+    try {
+      await setConversation(from_wa, 'awaiting_time', draftId);
+      if (PHONE_ID && TOKEN) await sendTimePicker(from_wa, draftId, clientPrefs);
+    } catch (e) {
+      console.error('schedok: time picker failed:', e?.message || e);
+    }
+    return new Response(JSON.stringify({ ok: true, kind: 'schedule:pick' }), {
+      headers: { 'content-type': 'application/json; charset=utf-8' }
+    });
+  }
+
+  // --- Handle a picked slot from the list (interactive.list_reply) ---
+  if (event_type === 'interactive' && interactive_id && interactive_id.startsWith('slot:')) {
+    const [, idStr, secStr] = interactive_id.split(':');
+    const draftId = Number(idStr);
+    if (await bailIfExpired(draftId, from_wa)) {
+      return new Response(JSON.stringify({ ok: true, kind: 'expired' }), {
+        headers: { 'content-type': 'application/json; charset=utf-8' }
+      });
+    }
+
+    const ok = await scheduleDraftManual(draftId, new Date(Number(secStr) * 1000), from_wa, clientPrefs);
+    return new Response(JSON.stringify({ ok: true, kind: ok ? 'schedule:manual' : 'schedule:manual_failed' }), {
+      headers: { 'content-type': 'application/json; charset=utf-8' }
+    });
+  }
+
+
+  // --- Save (or decline) a suggested default from repeated edits ---
+  if (event_type === 'interactive' && interactive_id && /^(savepref|nopref):/.test(interactive_id)) {
+    const save = interactive_id.startsWith('savepref:');
+    const signal = interactive_id.slice(interactive_id.indexOf(':') + 1);
+    const update = preferenceUpdate(signal);
+    let kind = save ? 'pref:saved' : 'pref:declined';
+    try {
+      if (save && update && supabaseAdmin) {
+        const row = await loadClientRow(supabaseAdmin, from_wa);
+        const { error } = row?.id
+          ? await supabaseAdmin.from('clients').update(update).eq('id', row.id)
+          : { error: { message: 'client not found' } };
+        if (error) {
+          console.error('save preference failed:', error.message || error);
+          kind = 'pref:save_failed';
+        }
+      }
+      if (from_wa && PHONE_ID && TOKEN) {
+        await sendWaText(from_wa, kind === 'pref:saved'
+          ? `Saved ✅ New posts will use ${describeSignal(signal)}.`
+          : kind === 'pref:declined'
+            ? 'Okay 👍 I won’t ask about that again.'
+            : 'Sorry, I couldn’t save that. Please try again later.');
+      }
+    } catch (e) {
+      console.error('preference handler failed:', e?.message || e);
+    }
+    return new Response(JSON.stringify({ ok: true, kind }), {
+      headers: { 'content-type': 'application/json; charset=utf-8' }
+    });
+  }
+
+  // --- Handle Request edit button (interactive.button_reply) and exit early ---
+  if (event_type === 'interactive' && interactive_id && interactive_id.startsWith('request_edit:')) {
+    const idStr = interactive_id.split(':')[1];
+    const draftId = Number(idStr);
+    if (await bailIfExpired(draftId, from_wa)) {
+      return new Response(JSON.stringify({ ok: true, kind: 'expired' }), {
+        headers: { 'content-type': 'application/json; charset=utf-8' }
+      });
+    }
+
+
+    // The next text from this number is the edit for this draft
+    if (Number.isFinite(draftId)) await setConversation(from_wa, 'awaiting_edit', draftId);
 
     // Prompt the user for what to tweak
     if (from_wa && PHONE_ID && TOKEN) {
       try {
         await sendWaText(
           from_wa,
-          "Okay ✍️ — what should I tweak (image or caption)? You can just say the change (e.g., brighter image, shorter text, mention opening hours) and I’ll resend."
+          `Okay ✍️ — what should I tweak (image or caption)? You can just say the change (e.g., ${EDIT_EXAMPLES.join(', ')}) and I’ll resend.`
         );
       } catch {}
     }
@@ -929,28 +1315,33 @@ export async function POST(request) {
       emoji: undefined,
       hashtags: [],
       must_include: [],
+      // same offer: the original brief's facts still have to be in the rewrite
+      facts: parentFacts(parent)
     };
   
     let modelCaption = null;
     let hashtags = [];
+    let gen = null;
     try {
-      // Customer-facing rewrite; forbid meta/instruction words
-      const seed = parent.text_body
-        ? `${parent.text_body}
-  
-  Rewrite the caption for customers. Keep the same offer & facts.
-  Do not mention edits, dislikes, alternatives, or instructions.
-  Do not use the words "don't like", "dislike", "alternative", "edit", "request edit".`
-        : `Rewrite the caption for customers. Keep the same offer & facts.
-  Do not mention edits, dislikes, alternatives, or instructions.
-  Do not use the words "don't like", "dislike", "alternative", "edit", "request edit".`;
+      // Customer-facing rewrite; the dislike template forbids meta/instruction words
+      const templates = await pickTemplates('dislike', from_wa, clientPrefs);
+      const seed = renderTemplate(templates.main, {
+        previous: parent.text_body || '',
+        business_type: clientPrefs?.business_type
+      });
   
       const seedWithCtx = seed + buildBusinessContextLine(clientPrefs || {});
-      const gen = await generateCaptionAndTags({ seedText: seedWithCtx, constraints: altConstraints, clientPrefs: clientPrefs || {} });
+      gen = await generateForClient({
+        seedText: seedWithCtx,
+        constraints: altConstraints,
+        clientPrefs: clientPrefs || {},
+        imageUrl: await imageUrlForModel(parent)
+      }, from_wa, templates);
       modelCaption = gen?.caption_final || null;
       hashtags = Array.isArray(gen?.hashtags) ? gen.hashtags : [];
     } catch (e) {
       console.error('dontlike: generator failed', e?.message || e);
+      await logGenerationUsage(e, { fromWa: from_wa, draftId: parent.id, purpose: 'dislike', clientPrefs });
     }
   
     const tagLine = (hashtags && hashtags.length) ? '\n\n' + hashtags.join(' ') : '';
@@ -963,13 +1354,14 @@ export async function POST(request) {
       text_body: '(auto: dislike)',
       media_path: parent.media_path || null,
       media_mime: parent.media_mime || null,
+      media_original_path: parent.media_original_path || null,
       status: 'draft',
       variant_of: parent.id,
       variant_num: nextVariantNum,
       regen_count: parentRegen + 1,
       caption_seed: '(auto: dislike)',
-      caption_final: modelCaption || null,
-      constraints_json: { auto: true, strategy: 'dontlike_v1', ...altConstraints }
+      ...generatedCaptionFields(gen || {}),
+      constraints_json: { auto: true, strategy: 'dontlike_v1', ...altConstraints, image: parent.constraints_json?.image || {} }
     };
   
     const { data: insertedRow, error: draftErr } = await supabaseAdmin
@@ -978,6 +1370,8 @@ export async function POST(request) {
       .select()
       .single();
   
+    await logGenerationUsage(gen, { fromWa: from_wa, draftId: insertedRow?.id, purpose: 'dislike', clientPrefs });
+
     if (draftErr || !insertedRow) {
       console.error('dontlike: upsert failed', draftErr);
       return new Response(JSON.stringify({ ok: false, error: 'insert_failed' }), {
@@ -995,11 +1389,13 @@ export async function POST(request) {
     } catch (e) {
       console.error('cancel parent after dontlike variant failed:', e?.message || e);
     }
+    await setConversation(from_wa, 'reviewing', insertedRow.id);
   
     // 6) send preview (image+caption if media), capture message_id; then buttons with context
     if (PHONE_ID && TOKEN) {
       const endpoint = `https://graph.facebook.com/v20.0/${PHONE_ID}/messages`;
       let previewMsgId = null;
+      let buttonsMsgId = null;
   
       // a) media or text preview
       try {
@@ -1007,7 +1403,7 @@ export async function POST(request) {
           // sign URL for WhatsApp to fetch
           const { data: signed, error: signErr } = await supabaseAdmin.storage
             .from('media')
-            .createSignedUrl(insertedRow.media_path, 60);
+            .createSignedUrl(await previewMediaPath(insertedRow, clientPrefs), 60);
   
           if (!signErr && signed?.signedUrl) {
             // image+caption
@@ -1085,10 +1481,12 @@ export async function POST(request) {
           })
         });
         const j = await res.json().catch(() => ({}));
-        if (!res.ok) console.error('WA buttons send failed', res.status, j?.error || j);
+        if (res.ok) buttonsMsgId = j?.messages?.[0]?.id || null;
+        else console.error('WA buttons send failed', res.status, j?.error || j);
       } catch (e) {
         console.error('WA buttons send threw:', e?.message || e);
       }
+      await recordOutboundMessages(supabaseAdmin, from_wa, insertedRow.id, { preview: previewMsgId, buttons: buttonsMsgId });
     }
   
     return new Response(JSON.stringify({ ok: true, kind: 'dontlike_variant_created', id: insertedRow.id }), {
@@ -1098,10 +1496,87 @@ export async function POST(request) {
 
 
   
-  // --- Consume next text when awaiting_edit is true (AI caption placeholder flow) ---
-  // NOTE: We intentionally do NOT check "event_type === 'text'". WA payload shapes vary;
-  // if there is a text_body, we consider it a candidate for edit-consume.
+  // --- Queue management commands (text) ---
   if (event_type === 'text' && from_wa && text_body && supabaseAdmin) {
+    const command = parseQueueCommand(text_body);
+    if (command) {
+      let reply;
+      try {
+        reply = command.cmd === 'list'
+          ? await buildQueueText(supabaseAdmin, from_wa, clientPrefs)
+          : await applyQueueCommand(supabaseAdmin, command, from_wa, clientPrefs);
+      } catch (e) {
+        console.error('queue command threw:', e?.message || e);
+        reply = 'Something went wrong — please try again.';
+      }
+      if (PHONE_ID && TOKEN) {
+        try { await sendWaText(from_wa, reply); } catch {}
+      }
+      return new Response(JSON.stringify({ ok: true, kind: `queue:${command.cmd}` }), {
+        headers: { 'content-type': 'application/json; charset=utf-8' }
+      });
+    }
+  }
+
+  // Where this number is in the flow (lib/conversations.js); only its own draft can be targeted
+  let conversation = event_type === 'text' && from_wa && text_body && supabaseAdmin
+    ? await getConversation(from_wa)
+    : null;
+
+  // A swipe-reply to one of our previews (or its buttons) edits exactly that draft, whatever else is open
+  if (conversation && context_id) {
+    const quotedDraftId = await draftIdForContext(supabaseAdmin, context_id, from_wa);
+    if (quotedDraftId) {
+      if (await bailIfExpired(quotedDraftId, from_wa)) {
+        return new Response(JSON.stringify({ ok: true, kind: 'expired' }), {
+          headers: { 'content-type': 'application/json; charset=utf-8' }
+        });
+      }
+      // A reply to a scheduled/posted preview must not spawn a second version that also goes out
+      if (!isDraftEditable(await fetchDraftMeta(quotedDraftId))) {
+        console.log('[edit-consume] reply quotes locked draft', quotedDraftId);
+        if (PHONE_ID && TOKEN) {
+          try { await sendWaText(from_wa, LOCKED_DRAFT_TEXT.replace('<id>', String(quotedDraftId))); } catch {}
+        }
+        return new Response(JSON.stringify({ ok: true, kind: 'edit:locked' }), {
+          headers: { 'content-type': 'application/json; charset=utf-8' }
+        });
+      }
+      console.log('[edit-consume] reply quotes draft', quotedDraftId);
+      conversation = { ...conversation, state: 'awaiting_edit', draft_id: quotedDraftId };
+    }
+  }
+
+  // --- Consume a typed time when a draft is waiting on "Pick a time" ---
+  if (conversation?.state === 'awaiting_time' && conversation.draft_id) {
+    const waiting = { id: conversation.draft_id };
+    if (await bailIfExpired(waiting.id, from_wa)) {
+      return new Response(JSON.stringify({ ok: true, kind: 'expired' }), {
+        headers: { 'content-type': 'application/json; charset=utf-8' }
+      });
+    }
+
+    const windows = await loadWindows(from_wa);
+    const { at, past } = resolveWhen(text_body, { tz: windows.tz, defaultTime: windows.weekday?.[0] || '10:00' });
+    if (at) {
+      const ok = await scheduleDraftManual(waiting.id, at, from_wa, clientPrefs);
+      return new Response(JSON.stringify({ ok: true, kind: ok ? 'schedule:manual' : 'schedule:manual_failed' }), {
+        headers: { 'content-type': 'application/json; charset=utf-8' }
+      });
+    }
+
+    // Still awaiting a time: ask again
+    if (PHONE_ID && TOKEN) {
+      const why = past ? 'That time has already passed — please pick a later one. 🕒' : 'Sorry, I couldn’t read that time.';
+      try { await sendWaText(from_wa, `${why} ${PICK_TIME_HINT}`); } catch {}
+    }
+    return new Response(JSON.stringify({ ok: true, kind: past ? 'schedule:time_past' : 'schedule:time_unparsed' }), {
+      headers: { 'content-type': 'application/json; charset=utf-8' }
+    });
+  }
+
+  // --- Consume the next text as an edit when this number's conversation awaits one ---
+  if (conversation?.state === 'awaiting_edit' && conversation.draft_id) {
     console.log('[edit-consume] candidate text from', from_wa, 'body len', (text_body || '').length);
   
     // Idempotency: if we already created a variant for this wa_message_id, DO NOT return early.
@@ -1121,110 +1596,42 @@ export async function POST(request) {
       console.warn('[edit-consume] dedupe check failed (continuing):', e?.message || e);
     }
   
-    // Normalize phone: keep digits only; also compute a "+digits" variant
-    const digitsOnly = String(from_wa).replace(/\D+/g, '');
-    const plusDigits = digitsOnly ? ('+' + digitsOnly) : null;
-
-    // (disabled) Do not auto-flag awaiting_edit; only set it explicitly on Request edit.
-    // 0) Try to pre-mark a fresh-most draft as awaiting if no explicit awaiting exists (race-safe)
-    /*try {
-      const { data: preAwaiting } = await supabaseAdmin
-        .from('draft_posts')
-        .select('id, created_at')
-        .eq('awaiting_edit', true)
-        .eq('from_wa', from_wa)
-        .limit(1);
-  
-      const hasAwaitingForExact = Array.isArray(preAwaiting) && preAwaiting.length > 0;
-  
-      if (!hasAwaitingForExact) {
-        const { data: recentRows } = await supabaseAdmin
-          .from('draft_posts')
-          .select('id, created_at')
-          .eq('from_wa', from_wa)
-          .order('id', { ascending: false })
-          .limit(1);
-  
-        if (Array.isArray(recentRows) && recentRows.length) {
-          const recent = recentRows[0];
-          const createdMs = Date.parse(recent.created_at);
-          const isFresh = Number.isFinite(createdMs) && (Date.now() - createdMs) < (3 * 60 * 1000);
-          if (isFresh) {
-            await supabaseAdmin.from('draft_posts').update({ awaiting_edit: true }).eq('id', recent.id);
-            console.log('[edit-consume] set awaiting_edit=true on recent id', recent.id);
-          }
-        }
-      }
-    } catch (e) {
-      console.error('awaiting_edit preflight fallback failed:', e?.message || e);
-    }
-  */
-    
-    // 1) Primary lookup: awaiting_edit for this number (try exact, +digits, and digits-only)
+    // The draft this conversation points at — and only if it belongs to this number
     let parent = null;
     try {
-      // a) exact match
-      let q = await supabaseAdmin
+      const { data } = await supabaseAdmin
         .from('draft_posts')
         .select('*')
-        .eq('from_wa', from_wa)
-        .eq('awaiting_edit', true)
-        .order('id', { ascending: false })
-        .limit(1);
-      if (Array.isArray(q?.data) && q.data.length) parent = q.data[0];
-  
-      // b) +digits match
-      if (!parent && plusDigits) {
-        q = await supabaseAdmin
-          .from('draft_posts')
-          .select('*')
-          .eq('from_wa', plusDigits)
-          .eq('awaiting_edit', true)
-          .order('id', { ascending: false })
-          .limit(1);
-        if (Array.isArray(q?.data) && q.data.length) parent = q.data[0];
-      }
-  
-      // c) digits-only match
-      if (!parent && digitsOnly) {
-        q = await supabaseAdmin
-          .from('draft_posts')
-          .select('*')
-          .eq('from_wa', digitsOnly)
-          .eq('awaiting_edit', true)
-          .order('id', { ascending: false })
-          .limit(1);
-        if (Array.isArray(q?.data) && q.data.length) parent = q.data[0];
-      }
+        .eq('id', conversation.draft_id)
+        .maybeSingle();
+      if (data && normalizeWa(data.from_wa) === conversation.wa) parent = data;
+      else console.error('[edit-consume] conversation draft not found for this number:', conversation.draft_id);
     } catch (e) {
-      console.error('[edit-consume] number-scoped awaiting lookup failed:', e?.message || e);
-    }
-  
-    // 2) TTL fallback: if none found by number, accept ANY fresh awaiting_edit row (<3m)
-    if (!parent) {
-      try {
-        const threeMinAgoIso = new Date(Date.now() - 3 * 60 * 1000).toISOString();
-        const { data: freshAwaiting } = await supabaseAdmin
-          .from('draft_posts')
-          .select('*')
-          .eq('awaiting_edit', true)
-          .gte('created_at', threeMinAgoIso)
-          .order('id', { ascending: false })
-          .limit(1);
-        if (Array.isArray(freshAwaiting) && freshAwaiting.length) {
-          parent = freshAwaiting[0];
-          console.warn('[edit-consume] WARNING: falling back to fresh global awaiting row id', parent.id);
-        }
-      } catch (e) {
-        console.error('[edit-consume] TTL fallback failed:', e?.message || e);
-      }
+      console.error('[edit-consume] draft lookup failed:', e?.message || e);
     }
   
     if (!skipEditConsume && parent) {
       console.log('[edit-consume] parent id', parent.id, 'variant_of', parent.variant_of, 'regen', parent.regen_count);
-  
-      // Clear awaiting flag (best-effort)
-      try { await supabaseAdmin.from('draft_posts').update({ awaiting_edit: false }).eq('id', parent.id); } catch {}
+
+      // Not every reply is an edit: "post it tomorrow at 10", "cancel", questions are routed elsewhere
+      const editWindows = await loadWindows(from_wa);
+      const editIntent = await classifyIntent(text_body, {
+        clientPrefs: clientPrefs || {},
+        tz: editWindows.tz,
+        defaultTime: editWindows.weekday?.[0] || '10:00'
+      });
+      await recordEventIntent(wa_message_id, editIntent);
+      await logGenerationUsage(editIntent, { fromWa: from_wa, draftId: parent.id, purpose: 'intent', clientPrefs });
+      const routedKind = await handleNonEditIntent(editIntent, parent, { fromWa: from_wa, textBody: text_body, clientPrefs });
+      if (routedKind) {
+        return new Response(JSON.stringify({ ok: true, kind: routedKind, intent: editIntent.intent }), {
+          headers: { 'content-type': 'application/json; charset=utf-8' }
+        });
+      }
+      const captionEdit = editIntent.intent === 'caption_edit';
+
+      // The edit is consumed; the new variant's preview moves the conversation on
+      await setConversation(from_wa, 'reviewing', parent.id);
   
       // --- lineage-aware variant creation with constraints + AI caption ---
       const parentRegen = Number(parent.regen_count || 0);
@@ -1233,35 +1640,70 @@ export async function POST(request) {
       }
   
       // Merge inline constraints with client presets
-      let constraints = parseConstraints(text_body || '');
+      // A reply classified as image_edit may name the change without naming the photo
+      let constraints = parseConstraints(text_body || '', { imageEdit: editIntent.intent === 'image_edit' });
       constraints = mergeConstraintsWithPrefs(constraints, clientPrefs || {});
+      // Dates, hours, discounts, links from the original brief stay unless this edit restates them
+      constraints.facts = mergeFacts(parentFacts(parent), constraints.facts);
       
-      // Build the seed (existing logic) + append business context
-      const seed =
-        (parent.caption_final && parent.text_body)
-          ? `${parent.caption_final}\n\nEdit request: ${text_body}`
-          : (parent.text_body)
-          ? `${parent.text_body}\n\nEdit request: ${text_body}`
-          : text_body;
+      // Build the seed from the edit template (previous caption + request) + append business context
+      const templates = await pickTemplates('edit', from_wa, clientPrefs);
+      const seed = parent.text_body
+        ? renderTemplate(templates.main, {
+            previous: parent.caption_final || parent.text_body,
+            request: text_body,
+            business_type: clientPrefs?.business_type
+          })
+        : text_body;
       
       const seedWithCtx = (seed || '') + buildBusinessContextLine(clientPrefs || {});
       
       let modelCaption = null;
+      let hashtags = [];
+      let gen = null;
       let tagLine = '';
-      try {
-        const gen = await generateCaptionAndTags({
-          seedText: seedWithCtx,
-          constraints,
-          clientPrefs: clientPrefs || {}
-        });
-        modelCaption = gen?.caption_final || null;
-        const hashtags = Array.isArray(gen?.hashtags) ? gen.hashtags : [];
-        tagLine = hashtags.length ? '\n\n' + hashtags.join(' ') : '';
-      } catch (e) {
-        console.error('AI caption generation failed, using user text:', e?.message || e);
+      if (!captionEdit && parent.caption_final) {
+        // Photo-only change: keep the caption the client already saw
+        gen = {
+          caption_final: parent.caption_final,
+          hashtags: parent.hashtags,
+          captions: parent.captions_json,
+          alt_text: parent.alt_text,
+          validation_failures: parent.validation_failures
+        };
+      } else {
+        try {
+          gen = await generateForClient({
+            seedText: seedWithCtx,
+            constraints,
+            clientPrefs: clientPrefs || {},
+            imageUrl: await imageUrlForModel(parent)
+          }, from_wa, templates);
+        } catch (e) {
+          console.error('AI caption generation failed, using user text:', e?.message || e);
+          await logGenerationUsage(e, { fromWa: from_wa, draftId: parent.id, purpose: 'edit', clientPrefs });
+        }
       }
+      modelCaption = gen?.caption_final || null;
+      hashtags = Array.isArray(gen?.hashtags) ? gen.hashtags : [];
+      tagLine = hashtags.length ? '\n\n' + hashtags.join(' ') : '';
       const previewCaption = (modelCaption || text_body) + tagLine;
 
+      // Image edits render a new file from the untouched original; earlier hints in this chain
+      // (edits, "no logo") carry over
+      let media = { media_path: parent.media_path || null, media_mime: parent.media_mime || null };
+      const originalPath = parent.media_original_path || parent.media_path || null;
+      const parentIsImage = originalPath && (!parent.media_mime || String(parent.media_mime).startsWith('image/'));
+      const newImageEdits = hasImageEdits(constraints.image);
+      constraints.image = { ...(parent.constraints_json?.image || {}), ...constraints.image };
+      if (parentIsImage && newImageEdits) {
+        try {
+          const derived = await deriveMedia({ sourcePath: originalPath, image: constraints.image, key: wa_message_id });
+          media = { media_path: derived.path, media_mime: derived.mime };
+        } catch (e) {
+          console.error('image edit failed, keeping parent media:', e?.message || e);
+        }
+      }
   
       // next variant_num
       let nextVariantNum = 1;
@@ -1281,14 +1723,14 @@ export async function POST(request) {
         source_message_id: wa_message_id, // current text message id (assumed defined above)
         from_wa,
         text_body,
-        media_path: parent.media_path || null,
-        media_mime: parent.media_mime || null,
+        ...media,
+        media_original_path: media.media_path !== originalPath ? originalPath : null,
         status: 'draft',
         variant_of: parent.id,
         variant_num: nextVariantNum,
         regen_count: (Number(parent.regen_count || 0) + 1),
         caption_seed: text_body,
-        caption_final: modelCaption || null,
+        ...generatedCaptionFields(gen || {}),
         constraints_json: constraints
       };
   
@@ -1298,6 +1740,8 @@ export async function POST(request) {
         .select('*')
         .limit(1);
   
+      await logGenerationUsage(gen, { fromWa: from_wa, draftId: inserted?.[0]?.id, purpose: 'edit', clientPrefs });
+
       if (draftErr || !inserted || !inserted.length) {
         console.error('create variant failed:', draftErr || 'no row returned');
         return new Response(JSON.stringify({ ok: true, kind: 'edit_captured_no_variant' }), {
@@ -1317,16 +1761,18 @@ export async function POST(request) {
       } catch (e) {
         console.error('cancel parent after edit variant failed:', e?.message || e);
       }
+      await setConversation(from_wa, 'reviewing', insertedVariant.id);
 
   
       // send preview, then buttons
       if (PHONE_ID && TOKEN) {
         const endpoint = `https://graph.facebook.com/v20.0/${PHONE_ID}/messages`;
         let firstMsgId = null;
+        let buttonsMsgId = null;
   
         try {
           if (insertedVariant.media_path && insertedVariant.media_mime) {
-            const signed = await supabaseAdmin.storage.from('media').createSignedUrl(insertedVariant.media_path, 300);
+            const signed = await supabaseAdmin.storage.from('media').createSignedUrl(await previewMediaPath(insertedVariant, clientPrefs), 300);
             const link = signed?.data?.signedUrl;
   
             const payload1 = link
@@ -1367,13 +1813,17 @@ export async function POST(request) {
   
           const res2 = await fetch(endpoint, { method: 'POST', headers: { 'Authorization': `Bearer ${TOKEN}`, 'Content-Type': 'application/json' }, body: JSON.stringify(buttons) });
           const j2 = await res2.json();
-          if (!res2.ok) console.error('WA buttons send failed', res2.status, j2?.error || j2);
+          if (res2.ok) buttonsMsgId = j2?.messages?.[0]?.id || null;
+          else console.error('WA buttons send failed', res2.status, j2?.error || j2);
         } catch (e) {
           console.error('variant preview/buttons send failed:', e?.message || e);
         }
+        await recordOutboundMessages(supabaseAdmin, from_wa, insertedVariant.id, { preview: firstMsgId, buttons: buttonsMsgId });
       }
   
-      return new Response(JSON.stringify({ ok: true, kind: 'edit_variant_created', id: insertedVariant.id }), {
+      await suggestSavedDefault(from_wa, text_body);
+
+      return new Response(JSON.stringify({ ok: true, kind: 'edit_variant_created', id: insertedVariant.id, intent: editIntent.intent }), {
         headers: { 'content-type': 'application/json; charset=utf-8' }
       });
     } else if (parent && skipEditConsume) {
@@ -1461,17 +1911,21 @@ export async function POST(request) {
   
           let previewCaption = baseSeed;
           try {
-            const gen = await generateCaptionAndTags({
+            const gen = await generateForClient({
               seedText: seedWithCtx,
               constraints: merged,
-              clientPrefs: clientPrefs || {}
-            });
+              clientPrefs: clientPrefs || {},
+              imageUrl: await imageUrlForModel(myDraft)
+            }, from_wa, await pickTemplates('caption', from_wa, clientPrefs));
+            await logGenerationUsage(gen, { fromWa: from_wa, draftId: myDraft.id, purpose: 'preview', clientPrefs });
             const modelCaption = gen?.caption_final || null;
             const hashtags = Array.isArray(gen?.hashtags) ? gen.hashtags : [];
             const tagLine = hashtags.length ? '\n\n' + hashtags.join(' ') : '';
             previewCaption = (modelCaption || baseSeed) + tagLine;
+            if (modelCaption) await saveGeneratedCaption(myDraft.id, gen);
           } catch (e) {
             console.error('auto-preview: generator failed, using base seed', e?.message || e);
+            await logGenerationUsage(e, { fromWa: from_wa, draftId: myDraft.id, purpose: 'preview', clientPrefs });
           }
   
           // Create a short-lived signed URL for the image
@@ -1480,7 +1934,7 @@ export async function POST(request) {
             const { data: signed } = await supabaseAdmin
               .storage
               .from('media')
-              .createSignedUrl(myDraft.media_path, 60 * 60); // 1h
+              .createSignedUrl(await previewMediaPath(myDraft, clientPrefs), 60 * 60); // 1h
             mediaUrl = signed?.signedUrl || null;
           } catch (e) {
             console.error('auto-preview: signed URL failed', e?.message || e);
@@ -1547,6 +2001,8 @@ export async function POST(request) {
           });
           const j2 = await res2.json().catch(() => ({}));
           if (!res2.ok) console.error('auto-preview: buttons failed', res2.status, j2?.error || j2);
+          await recordOutboundMessages(supabaseAdmin, from_wa, myDraft.id, { preview: firstMsgId, buttons: j2?.messages?.[0]?.id });
+          await setConversation(from_wa, 'reviewing', myDraft.id);
         }
       } else {
         console.log('auto-preview: skipped (open draft exists)', { from_wa, totalOpen, existingOpenBefore });
@@ -1588,8 +2044,7 @@ export async function POST(request) {
 
 
 
-  // 9) ack to Meta
-  return new Response(JSON.stringify({ ok: true }), {
+  return new Response(JSON.stringify({ ok: true, kind: 'received' }), {
     headers: { 'content-type': 'application/json; charset=utf-8' }
   });
 }
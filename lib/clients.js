@@ -0,0 +1,44 @@
+// lib/clients.js  (ESM)
+// Shared lookup of the `clients` row for a WhatsApp sender.
+
+export function toE164Candidate(msisdn) {
+  if (!msisdn) return null;
+  const s = String(msisdn).trim();
+  if (s.startsWith('+')) return s;
+  // WhatsApp sends digits with country code, no '+'. Accept 7..15 digits.
+  if (/^\d{7,15}$/.test(s)) return '+' + s;
+  return null;
+}
+
+// Raw `clients` row for a from_wa number, or null (missing / lookup error).
+export async function loadClientRow(supabase, fromWa) {
+  try {
+    const e164 = toE164Candidate(fromWa);
+    if (!e164 || !supabase) return null;
+    const { data, error } = await supabase
+      .from('clients')
+      .select('*')
+      .eq('phone_e164', e164)
+      .limit(1)
+      .maybeSingle();
+    if (error) {
+      console.warn('clients lookup error:', error.message || error);
+      return null;
+    }
+    return data || null;
+  } catch (e) {
+    console.warn('clients lookup exception:', e?.message || e);
+    return null;
+  }
+}
+
+// Logo overlay settings from a clients row (lib/media-process.js), or null when no logo is set.
+export function brandingFromClient(row) {
+  if (!row?.logo_path) return null;
+  return {
+    logo_path: row.logo_path,
+    position: row.logo_position || 'bottom-right',
+    opacity: Number(row.logo_opacity ?? 0.85),
+    scale: Number(row.logo_scale ?? 0.18)
+  };
+}
@@ -1,5 +1,30 @@
 // /lib/constraints.js  (ESM)
-export function parseConstraints(input = '') {
+import { parseFacts } from './facts.js';
+
+// Words that make a clause about the picture; accented Hungarian stems can't use \b
+const IMAGE_ANCHOR_RE = /\b(photo|picture|pic|image|crop|zoom|format|ratio|contrast|exposure|lighting|1:1|4:5|9:16)\b|kép|fotó|\bfoto\b|formátum|vágás|nagyíts|kontraszt|fény/;
+const NEGATION_RE = /\b(don['’]?t|do not|never|not|no need)\b|(^|\s)(ne|nem|sem)(\s|$)/;
+
+// A clause made only of hint words and filler ("make it square", "add contrast", "négyzetes", "brighter pls")
+// is about the picture even without naming it; "lighter on sugar" or "a bit lighter tone" has other words
+const HINT_WORD_RE = /^(square|portrait|story|bright|brighter|lighter|darker|contrast|tighter|négyzet\p{L}*|álló\p{L}*|sztori\p{L}*|világos\p{L}*|fényes\p{L}*|sötét\p{L}*|kontraszt\p{L}*)$/u;
+const FILLER_WORDS = new Set([
+  'make', 'it', 'its', "it's", 'the', 'a', 'an', 'bit', 'little', 'lot', 'much', 'more', 'less', 'slightly',
+  'some', 'add', 'change', 'turn', 'set', 'to', 'into', 'please', 'pls', 'plz', 'can', 'could', 'you',
+  'egy', 'kicsit', 'picit', 'kicsivel', 'sokkal', 'még', 'legyen', 'tedd', 'csináld', 'kérlek', 'légyszi', 'több'
+]);
+
+function isBareImageClause(clause) {
+  const words = clause.split(/\s+/).map(w => w.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}']+$/gu, '')).filter(Boolean);
+  return words.some(w => HINT_WORD_RE.test(w)) && words.every(w => HINT_WORD_RE.test(w) || FILLER_WORDS.has(w));
+}
+
+/**
+ * @param {string} input
+ * @param {{ imageEdit?: boolean }} [opts] imageEdit: the reply is already known to be about the photo
+ *   (intent image_edit), so hint words count in any clause that isn't negated
+ */
+export function parseConstraints(input = '', { imageEdit = false } = {}) {
   const text = String(input || '').toLowerCase();
 
   const out = {
@@ -10,7 +35,9 @@ export function parseConstraints(input = '') {
     hashtags: [],
     must_include: [],
     price: undefined,        // e.g., '1490 Ft'
-    // optional image hints (not used yet)
+    language: undefined,     // 'EN' | 'HU' | 'HU+EN' (overrides the client's language)
+    facts: undefined,        // must-keep facts (validity, hours, discounts, links, emails, phones, handles), see lib/facts.js
+    // image hints, rendered by lib/media-process.js: crop, focus, brightness, contrast, aspect
     image: {}
   };
 
@@ -26,8 +53,13 @@ export function parseConstraints(input = '') {
   if (/\b(no\s*emoji|nincs? emoji|ne legyen(ek)? emoji(k)?|emoji nélkül)\b/.test(text)) out.emoji = 'off';
   if (/\b(add|more)\s*emoji|legyen(ek)? emoji(k)?|több emoji\b/.test(text)) out.emoji = 'on';
 
-  // hashtags  (#tag)
-  const tagMatches = input.match(/#([\p{L}\p{N}_]+)/giu);
+  // language
+  if (/\b(in english|angolul)\b/.test(text)) out.language = 'EN';
+  if (/(\bin hungarian\b|\bmagyarul\b)/.test(text)) out.language = 'HU';
+  if (/(\bbilingual\b|kétnyelvű|ketnyelvu)/.test(text)) out.language = 'HU+EN';
+
+  // hashtags  (#tag) — NFC keeps accented tags whole
+  const tagMatches = input.normalize('NFC').match(/#([\p{L}\p{M}\p{N}_]+)/giu);
   if (tagMatches) out.hashtags = tagMatches.map(s => s.replace(/^#/, '')).slice(0, 10);
 
   // price (e.g., 1490 Ft, 1 490 Ft, 1.490 Ft, HUF 1490)
@@ -45,10 +77,34 @@ export function parseConstraints(input = '') {
   for (const m of (hu || [])) mentionMatches.push(m.replace(/említsd\s+meg\s+/i, '').trim());
   if (mentionMatches.length) out.must_include = mentionMatches.slice(0, 5);
 
-  // simple image hints (not wired yet, but captured)
-  if (/\bcrop\b.*\btight(er)?\b|\bszorosabb vágás\b/.test(text)) out.image.crop = 'tighter';
+  out.facts = parseFacts(input);
+
+  // image hints — only from clauses about the picture ("brighter photo", "story format") or short replies
+  // that are nothing but a hint ("make it square"), never negated, so "tell the story of our bakery"
+  // or "lighter tone" stay caption requests
+  const img = text
+    .split(/[.;,!?\n]+|\s+(?:and|but|és|de)\s+/)
+    .filter(clause => !NEGATION_RE.test(clause)
+      && (imageEdit || IMAGE_ANCHOR_RE.test(clause) || isBareImageClause(clause.trim())))
+    .join(' . ');
+
+  if (/\bcrop\b.*\btight(er)?\b|\bszorosabb vágás\b|\bzoom in\b|\bnagyíts\b/.test(img)) out.image.crop = 'tighter';
   const focus = input.match(/focus on\s+([^\.;\n]+)|fókusz(álj)?\s+(?:a|az)\s+([^\.;\n]+)/i);
   if (focus) out.image.focus = (focus[1] || focus[3] || '').trim();
 
+  if (/\b(bright(er)?|lighter)\b|világosabb|fényesebb/.test(img)) out.image.brightness = 'brighter';
+  if (/\bdarker\b|sötétebb/.test(img)) out.image.brightness = 'darker';
+  if (/\bfix (the )?(light(ing)?|exposure)\b|javítsd a fény/.test(img)) out.image.brightness = 'auto';
+  if (/\b(more|add|add some|add more|extra) contrast\b|kontrasztosabb|több kontraszt/.test(img)) out.image.contrast = 'more';
+  if (/\bless contrast\b|kevésbé kontrasztos/.test(img)) out.image.contrast = 'less';
+
+  // per-draft logo opt-out / back in
+  if (/\bno logo\b|\bwithout (the )?logo\b|logó nélkül|logo nélkül|ne legyen (rajta )?logó/.test(text)) out.image.logo = 'off';
+  else if (/\b(add|with) (the )?logo\b|legyen (rajta )?logó/.test(text)) out.image.logo = 'on';
+
+  if (/\b1:1\b|\bsquare\b|négyzet/.test(img)) out.image.aspect = '1:1';
+  if (/\b4:5\b|\bportrait\b|álló/.test(img)) out.image.aspect = '4:5';
+  if (/\b9:16\b|\bstory\b|\bsztori/.test(img)) out.image.aspect = '9:16';
+
   return out;
 }
@@ -0,0 +1,75 @@
+// /lib/conversations.js  (ESM)
+// Per-number conversation state (conversations table), so a reply is matched to this client's draft only.
+//   idle          — nothing pending
+//   onboarding    — welcome sent, no draft yet
+//   reviewing     — a preview with Approve / Request edit / Don't like is out (draft_id)
+//   awaiting_edit — the next text is an edit for draft_id
+//   awaiting_time — the next text is a posting time for draft_id
+// Rows are keyed by the number's digits only ("+36 30 …" and "3630…" are the same client).
+// A state past expires_at reads as idle. CONVERSATION_TTL_SECONDS defaults to the draft expiry (1h).
+// Exports: STATES, normalizeWa(number), getConversation(fromWa), conversationFromRow(wa, row, now?),
+//          setConversation(fromWa, state, draftId?), endConversation(fromWa, draftId?)
+
+import { supabaseAdmin } from './supabase.js';
+
+export const STATES = ['idle', 'onboarding', 'reviewing', 'awaiting_edit', 'awaiting_time'];
+
+const TTL_SECONDS = Number(process.env.CONVERSATION_TTL_SECONDS || process.env.DRAFT_EXPIRY_SECONDS || 3600);
+
+const IDLE = Object.freeze({ state: 'idle', draft_id: null, expires_at: null });
+
+export function normalizeWa(number) {
+  return String(number || '').replace(/\D+/g, '');
+}
+
+/** Current state for a number; missing, expired or unreadable rows read as idle. */
+export async function getConversation(fromWa) {
+  const wa = normalizeWa(fromWa);
+  if (!supabaseAdmin || !wa) return { wa, ...IDLE };
+  const { data, error } = await supabaseAdmin
+    .from('conversations')
+    .select('wa, state, draft_id, expires_at')
+    .eq('wa', wa)
+    .maybeSingle();
+  if (error) {
+    console.error('[conversations] read failed:', error.message || error);
+    return { wa, ...IDLE };
+  }
+  return conversationFromRow(wa, data);
+}
+
+/** A conversations row as getConversation returns it: idle when missing or expired at `now`. */
+export function conversationFromRow(wa, row, now = Date.now()) {
+  if (!row || (row.expires_at && Date.parse(row.expires_at) <= now)) return { wa, ...IDLE };
+  return { ...row, draft_id: row.draft_id == null ? null : Number(row.draft_id) };
+}
+
+/** Move a number to `state` (about `draftId`); every non-idle state expires after the TTL. */
+export async function setConversation(fromWa, state, draftId = null) {
+  const wa = normalizeWa(fromWa);
+  if (!STATES.includes(state)) throw new Error(`unknown conversation state: ${state}`);
+  if (!supabaseAdmin || !wa) return;
+  const now = new Date();
+  const row = {
+    wa,
+    state,
+    draft_id: state === 'idle' ? null : (Number.isFinite(Number(draftId)) ? Number(draftId) : null),
+    expires_at: state === 'idle' ? null : new Date(now.getTime() + TTL_SECONDS * 1000).toISOString(),
+    updated_at: now.toISOString()
+  };
+  const { error } = await supabaseAdmin.from('conversations').upsert(row, { onConflict: 'wa' });
+  if (error) console.error('[conversations] update failed:', state, error.message || error);
+}
+
+/** Back to idle; with draftId, only if that draft is still the active one. */
+export async function endConversation(fromWa, draftId = null) {
+  const wa = normalizeWa(fromWa);
+  if (!supabaseAdmin || !wa) return;
+  let q = supabaseAdmin
+    .from('conversations')
+    .update({ state: 'idle', draft_id: null, expires_at: null, updated_at: new Date().toISOString() })
+    .eq('wa', wa);
+  if (draftId != null) q = q.eq('draft_id', draftId);
+  const { error } = await q;
+  if (error) console.error('[conversations] end failed:', error.message || error);
+}
@@ -0,0 +1,242 @@
+// /lib/facts.js  (ESM)
+// Must-keep facts in a shop owner's brief (English and Hungarian), and checks that a caption kept them.
+//   valid_until — "until Sunday", "till Oct 31", "péntekig", "okt. 31-ig", "holnapig", "hétvégéig"
+//   hours       — "8–14h", "7:30-18:00", "open 8-14", "Mon-Fri 7-19", "8-tól 14-ig"
+//   discounts   — "-20%", "20% off", "20%-os kedvezmény"
+//   urls, emails, phones ("+36 30 123 4567", "06-1/234-5678"), handles ("@pestpekseg")
+// Words may be translated in the caption (péntekig → "until Friday"); numbers, links and handles must match.
+// Exports: parseFacts(input), mergeFacts(base, next), factLines(facts), checkFacts(caption, facts, seedText), hasFacts(facts)
+
+const WEEKDAY_WORDS = [
+  ['sunday', 'vasarnap'],
+  ['monday', 'hetfo'],
+  ['tuesday', 'kedd'],
+  ['wednesday', 'szerd'],
+  ['thursday', 'csutortok'],
+  ['friday', 'pentek'],
+  ['saturday', 'szombat']
+];
+
+// Month stems after accent stripping, EN / HU
+const MONTH_STEMS = [
+  ['jan'], ['feb'], ['mar'], ['apr'], ['may', 'maj'], ['jun'],
+  ['jul'], ['aug'], ['sep', 'szep'], ['oct', 'okt'], ['nov'], ['dec']
+];
+
+const RELATIVE = {
+  tomorrow: /\b(tomorrow|holnap\w*)\b/,
+  weekend: /\b(weekend|hetveg\w*)\b/,
+  month_end: /\b(end of (the )?month|ho veg\w*|honap veg\w*)\b/
+};
+
+// Per-character accent strip keeps string length, so match indices map back onto the original text
+function fold(s) {
+  return [...String(s || '').normalize('NFC')]
+    .map(c => c.normalize('NFD').replace(/\p{M}/gu, '') || c)
+    .join('')
+    .toLowerCase();
+}
+
+const blank = (s, m) => s.slice(0, m.index) + ' '.repeat(m[0].length) + s.slice(m.index + m[0].length);
+
+function monthFromWord(word) {
+  const i = MONTH_STEMS.findIndex(stems => stems.some(st => word.startsWith(st)));
+  return i >= 0 ? i + 1 : 0;
+}
+
+// 'pentek' / 'fri' → 5
+function weekdayFromWord(word) {
+  return WEEKDAY_WORDS.findIndex(([en, hu]) => word.startsWith(hu) || en.startsWith(word));
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+const hhmm = (h, m) => `${Number(h)}:${pad(m || 0)}`;
+
+function phoneDigits(raw) {
+  const d = String(raw).replace(/\D/g, '');
+  return d.startsWith('06') ? '36' + d.slice(2) : d;
+}
+
+function parseValidity(t, orig) {
+  // Hungarian "-ig" forms: péntekig, okt. 31-ig, 10.31-ig, holnapig, hétvégéig
+  let m = t.match(/\b(hetfo|kedd|szerda|csutortok|pentek|szombat|vasarnap)ig\b/);
+  if (m) return { raw: orig.substr(m.index, m[0].length), dow: weekdayFromWord(m[1]) };
+  m = t.match(/\b([a-z]{3,})\.?\s+(\d{1,2})\.?-?ig\b/);
+  if (m && monthFromWord(m[1])) return { raw: orig.substr(m.index, m[0].length), month: monthFromWord(m[1]), day: +m[2] };
+  m = t.match(/\b(\d{1,2})\.\s?(\d{1,2})\.?-?ig\b/);
+  if (m && +m[1] <= 12) return { raw: orig.substr(m.index, m[0].length), month: +m[1], day: +m[2] };
+  m = t.match(/\b(holnapig|hetvegeig|ho vegeig|honap vegeig)\b/);
+  if (m) {
+    const relative = m[1].startsWith('holnap') ? 'tomorrow' : m[1].startsWith('hetveg') ? 'weekend' : 'month_end';
+    return { raw: orig.substr(m.index, m[0].length), relative };
+  }
+
+  // English: until / till / through / valid until …
+  m = t.match(/\b(?:until|till|through|thru)\s+(?:this\s+|next\s+)?(sun|mon|tue|wed|thu|fri|sat)[a-z]*\b/);
+  if (m) return { raw: orig.substr(m.index, m[0].length), dow: weekdayFromWord(m[1]) };
+  m = t.match(/\b(?:until|till|through|thru)\s+(?:the\s+)?(?:([a-z]{3,})\.?\s+(\d{1,2})(?:st|nd|rd|th)?|(\d{1,2})(?:st|nd|rd|th)?\s+(?:of\s+)?([a-z]{3,}))\b/);
+  if (m) {
+    const month = monthFromWord(m[1] || m[4]);
+    if (month) return { raw: orig.substr(m.index, m[0].length), month, day: +(m[2] || m[3]) };
+  }
+  m = t.match(/\b(?:until|till|through|thru)\s+(?:tomorrow|(?:the\s+)?(?:this\s+)?weekend|(?:the\s+)?end of (?:the\s+)?(?:this\s+)?month)\b/);
+  if (m) {
+    const relative = /tomorrow/.test(m[0]) ? 'tomorrow' : /weekend/.test(m[0]) ? 'weekend' : 'month_end';
+    return { raw: orig.substr(m.index, m[0].length), relative };
+  }
+  return null;
+}
+
+// Words that make a bare "7-19" opening hours: "open", "nyitva", or the days it applies to
+const HOURS_CONTEXT_RE = /\b(open|opening|hours|daily|every ?day|weekdays?|(mon|tue|wed|thu|fri|sat|sun)[a-z]*|nyitva\w*|nyitvatartas\w*|naponta|hetkoznap\w*|hetveg\w*|hetfo\w*|kedd\w*|szerda\w*|csutortok\w*|pentek\w*|szombat\w*|vasarnap\w*)\b/;
+
+function parseHours(t, orig) {
+  // 8-tól 14-ig
+  let m = t.match(/\b(\d{1,2})(?:[:.](\d{2}))?-?(?:tol|tól)\s+(\d{1,2})(?:[:.](\d{2}))?-?ig\b/);
+  if (!m) {
+    // 8–14h, 7:30-18:00, open 8-14, nyitva 8-14, Mon-Fri 7-19, hétköznap 7-19 (never "20-30%")
+    const re = /\b(\d{1,2})(?:[:.](\d{2}))?\s*(?:h|ora)?\s*[-–—]\s*(\d{1,2})(?:[:.](\d{2}))?(?!\d|\s*%)(\s*(?:h\b|ora\b|orak?ig\b|-ig\b))?/g;
+    for (const c of t.matchAll(re)) {
+      const context = t.slice(Math.max(0, c.index - 25), c.index);
+      const marked = c[2] || c[4] || c[5] || HOURS_CONTEXT_RE.test(context);
+      if (marked) { m = c; break; }
+    }
+  }
+  if (!m) return null;
+  const [from, to] = [+m[1], +m[3]];
+  if (from > 24 || to > 24) return null;
+  return { raw: orig.substr(m.index, m[0].length).trim(), from: hhmm(from, m[2]), to: hhmm(to, m[4]) };
+}
+
+/**
+ * @returns {{ valid_until: object|null, hours: object|null, discounts: string[], urls: string[], emails: string[], phones: string[], handles: string[] }}
+ */
+export function parseFacts(input = '') {
+  const orig = String(input || '').normalize('NFC');
+  let t = fold(orig);
+  const out = { valid_until: null, hours: null, discounts: [], urls: [], emails: [], phones: [], handles: [] };
+
+  // Links, phones and handles first, then blanked so their digits don't look like hours or discounts
+  // (e-mail addresses go first, so their domain isn't read as a link nor their @ as a handle)
+  for (const m of [...t.matchAll(/[\w.+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)+/g)]) {
+    const email = orig.substr(m.index, m[0].length).replace(/\.+$/, '');
+    if (!out.emails.includes(email)) out.emails.push(email);
+    t = blank(t, m);
+  }
+  for (const m of [...t.matchAll(/\b(?:https?:\/\/|www\.)[^\s<>"')]+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:hu|com|net|org|eu|io|shop|store)(?:\/[^\s<>"')]*)?/g)]) {
+    const url = orig.substr(m.index, m[0].length).replace(/[.,;:!?]+$/, '');
+    if (!out.urls.includes(url)) out.urls.push(url);
+    t = blank(t, m);
+  }
+  for (const m of [...t.matchAll(/(?:^|[^\w.@])@([a-z0-9_.]{1,29}[a-z0-9_])/g)]) {
+    const handle = '@' + orig.substr(m.index + m[0].indexOf('@') + 1, m[1].length);
+    if (!out.handles.includes(handle)) out.handles.push(handle);
+    t = blank(t, m);
+  }
+  for (const m of [...t.matchAll(/(?:\+36|\b06)[\s\-/]?\d{1,2}[\s\-/]?\d{3}[\s-]?\d{3,4}\b|\+\d{2,3}(?:[\s\-/]?\d){7,12}\b/g)]) {
+    const phone = orig.substr(m.index, m[0].length).trim();
+    if (!out.phones.includes(phone)) out.phones.push(phone);
+    t = blank(t, m);
+  }
+
+  for (const m of t.matchAll(/(?:^|[\s(])[-−–]\s?(\d{1,2})\s?%|\b(\d{1,2})\s?%(?:-?(?:os|es|a|e))?\s*(?:off|discount|kedvezmeny\w*|engedmeny\w*|akcio\w*)/g)) {
+    const pct = `${m[1] || m[2]}%`;
+    if (!out.discounts.includes(pct)) out.discounts.push(pct);
+  }
+
+  out.valid_until = parseValidity(t, orig);
+  out.hours = parseHours(t, orig);
+  return out;
+}
+
+export function hasFacts(facts) {
+  return Boolean(facts && (facts.valid_until || facts.hours || facts.discounts?.length
+    || facts.urls?.length || facts.emails?.length || facts.phones?.length || facts.handles?.length));
+}
+
+/** Facts carried over from an earlier brief; anything the newer message states replaces the old value. */
+export function mergeFacts(base, next) {
+  const out = { ...parseFacts(''), ...(base || {}) };
+  for (const [k, v] of Object.entries(next || {})) {
+    if (Array.isArray(v) ? v.length : v) out[k] = v;
+  }
+  return out;
+}
+
+/** Prompt lines for the generator. */
+export function factLines(facts) {
+  if (!hasFacts(facts)) return [];
+  const lines = [];
+  if (facts.valid_until) lines.push(`Offer valid: ${facts.valid_until.raw}`);
+  if (facts.hours) lines.push(`Opening hours: ${facts.hours.from}–${facts.hours.to}`);
+  if (facts.discounts.length) lines.push(`Discount: ${facts.discounts.join(', ')}`);
+  if (facts.urls.length) lines.push(`Link (exactly): ${facts.urls.join(' ')}`);
+  if (facts.emails?.length) lines.push(`Email (exactly): ${facts.emails.join(' ')}`);
+  if (facts.phones.length) lines.push(`Phone (exactly): ${facts.phones.join(', ')}`);
+  if (facts.handles.length) lines.push(`Mention: ${facts.handles.join(' ')}`);
+  return lines;
+}
+
+function mentionsHour(t, hm) {
+  const [h, mm] = hm.split(':');
+  const re = mm === '00'
+    ? new RegExp(`(^|[^\\d])0?${h}(?![\\d%])`)
+    : new RegExp(`(^|[^\\d])0?${h}[:.]${mm}(?!\\d)`);
+  return re.test(t);
+}
+
+function mentionsValidity(t, v) {
+  if (v.dow != null && v.dow >= 0) {
+    const [en, hu] = WEEKDAY_WORDS[v.dow];
+    return t.includes(en) || t.includes(hu);
+  }
+  if (v.month && v.day) {
+    const dayRe = new RegExp(`(^|[^\\d])${v.day}(?!\\d)`);
+    const monthOk = MONTH_STEMS[v.month - 1].some(st => t.includes(st)) || new RegExp(`(^|[^\\d])0?${v.month}\\.`).test(t);
+    return dayRe.test(t) && monthOk;
+  }
+  if (v.relative) return RELATIVE[v.relative].test(t);
+  return true;
+}
+
+const bareUrl = (u) => fold(u).replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/+$/, '');
+
+/**
+ * Failures for facts the caption dropped, plus discounts it made up (seed percentages are allowed).
+ * @returns {Array<{ rule: 'fact_missing'|'invented_discount', detail: string }>}
+ */
+export function checkFacts(caption, facts, seedText = '') {
+  const failures = [];
+  const t = fold(caption);
+
+  if (facts?.valid_until && !mentionsValidity(t, facts.valid_until)) {
+    failures.push({ rule: 'fact_missing', detail: `offer valid ${facts.valid_until.raw}` });
+  }
+  if (facts?.hours && !(mentionsHour(t, facts.hours.from) && mentionsHour(t, facts.hours.to))) {
+    failures.push({ rule: 'fact_missing', detail: `opening hours ${facts.hours.from}–${facts.hours.to}` });
+  }
+  for (const pct of facts?.discounts || []) {
+    if (!new RegExp(`(^|[^\\d])${pct.replace('%', '')}\\s?%`).test(t)) failures.push({ rule: 'fact_missing', detail: `discount ${pct}` });
+  }
+  for (const url of facts?.urls || []) {
+    if (!t.includes(bareUrl(url))) failures.push({ rule: 'fact_missing', detail: `link ${url}` });
+  }
+  for (const email of facts?.emails || []) {
+    if (!t.includes(fold(email))) failures.push({ rule: 'fact_missing', detail: `email ${email}` });
+  }
+  const captionPhones = (t.match(/[+\d][\d\s\-/]{6,}\d/g) || []).map(phoneDigits);
+  for (const phone of facts?.phones || []) {
+    if (!captionPhones.includes(phoneDigits(phone))) failures.push({ rule: 'fact_missing', detail: `phone ${phone}` });
+  }
+  for (const handle of facts?.handles || []) {
+    if (!t.includes(fold(handle))) failures.push({ rule: 'fact_missing', detail: `mention ${handle}` });
+  }
+
+  const allowed = new Set([...(facts?.discounts || []), ...(fold(seedText).match(/\d{1,3}(?=\s?%)/g) || []).map(n => `${n}%`)]
+    .map(p => p.replace(/\s/g, '')));
+  for (const m of t.matchAll(/(^|[^\d])(\d{1,3})\s?%/g)) {
+    const pct = `${m[2]}%`;
+    if (!allowed.has(pct)) failures.push({ rule: 'invented_discount', detail: pct });
+  }
+  return failures;
+}
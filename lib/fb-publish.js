@@ -0,0 +1,48 @@
+// lib/fb-publish.js
+// Publish a draft to a client's Facebook Page (photo post or text post).
+
+import { graphRequest } from './graph.js';
+
+/**
+ * Build the post text from a draft row: the platform's caption from captions_json when present,
+ * else final caption (or seed / raw text) + hashtags. Hashtags already present in the caption are not repeated.
+ */
+export function composeMessage(draft = {}, platform = null) {
+  const variant = platform && draft.captions_json ? draft.captions_json[platform] : null;
+  const caption = String(variant?.caption || draft.caption_final || draft.caption_seed || draft.text_body || '').trim();
+  const tags = (Array.isArray(variant?.hashtags) ? variant.hashtags : Array.isArray(draft.hashtags) ? draft.hashtags : [])
+    .map(t => '#' + String(t).trim().replace(/^#/, ''))
+    .filter(t => t.length > 1 && !caption.includes(t));
+  return [caption, tags.join(' ')].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Publish to a Page. With imageUrl → /{page}/photos, otherwise → /{page}/feed.
+ * @returns {Promise<{ id: string, post_id: string, permalink: string|null }>}
+ */
+export async function publishToFacebookPage({ pageId, token, message, imageUrl = null }) {
+  if (!pageId) throw new Error('facebook: missing page id');
+
+  const created = imageUrl
+    ? await graphRequest('POST', `/${encodeURIComponent(pageId)}/photos`, {
+        token, params: { url: imageUrl, caption: message, published: true }
+      })
+    : await graphRequest('POST', `/${encodeURIComponent(pageId)}/feed`, {
+        token, params: { message }
+      });
+
+  // /photos returns { id (photo), post_id }, /feed returns { id (post) }
+  const postId = created.post_id || created.id;
+
+  let permalink = null;
+  try {
+    const meta = await graphRequest('GET', `/${encodeURIComponent(postId)}`, {
+      token, params: { fields: 'permalink_url' }
+    });
+    permalink = meta?.permalink_url || null;
+  } catch (e) {
+    console.warn('facebook: permalink lookup failed', e?.message || e);
+  }
+
+  return { id: created.id, post_id: postId, permalink };
+}
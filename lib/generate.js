@@ -1,13 +1,65 @@
 // /lib/generate.js  (ESM)
-// Minimal, safe caption + hashtag generator using OpenAI.
-// Exports: generateCaptionAndTags({ seedText, constraints={}, clientPrefs={} })
+// Minimal, safe caption + hashtag generator on top of the pluggable LLM layer (lib/llm.js).
+// Provider/model come from clientPrefs.llm_provider / llm_model, else LLM_PROVIDER env (default OpenAI).
+// Every caption is checked by lib/validate.js and regenerated with the failures fed back (CAPTION_VALIDATE_ATTEMPTS).
+// With imageUrl the photo goes to the model (or, for text-only models, a description from VISION_PROVIDER)
+// so the caption matches what is actually pictured, and alt text comes back with it.
+// The opening lines of the prompt (preamble) come from the caption prompt template (lib/prompts.js).
+// Hashtags are reconciled with the client's library (lib/hashtags.js) and capped at hashtags_max;
+// recentHashtags (newest post first) drives pool rotation. examples are the client's recently approved
+// captions, shown as few-shot context for their brand voice.
+// Exports: generateCaptionAndTags({ seedText, constraints={}, clientPrefs={}, platforms?, imageUrl?, preamble?, recentHashtags?, examples? })
+//   → { caption_final, hashtags, captions, alt_text, validation_failures, usage }; captions is keyed by platform (lib/platforms.js),
+//     usage lists every model call (tokens, latency) for lib/usage.js to record; a thrown error carries it as e.usage
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-// Optional: set a default model via env; otherwise a sensible small model.
-const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+import { complete, resolveProvider, supportsVision } from './llm.js';
+import { validateCaption, describeFailures } from './validate.js';
+import { PLATFORMS, PRIMARY_PLATFORM, buildPlatformCaptions } from './platforms.js';
+import { builtinTemplate, renderTemplate } from './prompts.js';
+import { parseLibrary, reconcileHashtags } from './hashtags.js';
+import { factLines } from './facts.js';
 
-function buildPrompt(seedText, constraints = {}, clientPrefs = {}) {
+const VALIDATE_ATTEMPTS = Math.max(1, Number(process.env.CAPTION_VALIDATE_ATTEMPTS || 3));
+const VISION_PROVIDER = (process.env.VISION_PROVIDER || '').toLowerCase() || null;
+const ALT_TEXT_MAX = 250;
+const DEFAULT_HASHTAGS_MAX = 8;
+const MODEL_HASHTAGS_MAX = 30; // Instagram's limit; the client's cap is applied after reconciliation
+const EXAMPLES_MAX = 3;
+const EXAMPLE_CHARS = 300;
+
+// What lib/usage.js needs from one complete() result
+function usageOf(step, res) {
+  return {
+    step,
+    provider: res.provider,
+    model: res.model,
+    prompt_tokens: res.usage?.prompt_tokens ?? null,
+    completion_tokens: res.usage?.completion_tokens ?? null,
+    latency_ms: res.latency_ms,
+    attempts: res.attempts
+  };
+}
+
+const LANGUAGE_NAMES = {
+  EN: 'English', HU: 'Hungarian', DE: 'German', SK: 'Slovak', RO: 'Romanian', HR: 'Croatian', SR: 'Serbian', IT: 'Italian'
+};
+
+// "HU" → ['HU'], "HU+EN" / "hu,en" / "HU/EN" → ['HU', 'EN'] (bilingual)
+export function parseLanguages(pref) {
+  const codes = String(pref || 'EN').toUpperCase().split(/[+,/\s]+/).filter(Boolean);
+  return [...new Set(codes)].slice(0, 2);
+}
+
+function languageLine(languages) {
+  const names = languages.map(c => LANGUAGE_NAMES[c] || c);
+  if (names.length === 1) return `Language: write the caption in ${names[0]}, whatever language the seed is in.`;
+  return `Language: bilingual — write the caption in ${names[0]} first, then the same message in ${names[1]} after a blank line. Same facts in both; hashtags once at the end, either language.`;
+}
+
+// photo: 'attached' (model sees it), a text description, or null
+function buildPrompt(seedText, constraints = {}, clientPrefs = {}, feedback = [], photo = null, preamble = null, examples = []) {
   // Normalize simple knobs
+  const languages = parseLanguages(constraints.language || clientPrefs.language);
   const tone = constraints.tone || clientPrefs.tone || 'casual';
   const length = constraints.length || clientPrefs.length || 'short';
   const emoji = constraints.emoji ?? clientPrefs.emoji ?? 'on';
@@ -17,89 +69,189 @@ function buildPrompt(seedText, constraints = {}, clientPrefs = {}) {
 
   // Convert to short instruction lines
   const lines = [];
+  lines.push(languageLine(languages));
   lines.push(`Tone: ${tone}. Length: ${length}. Emojis: ${emoji}.`);
   if (price) lines.push(`Include price: ${price}.`);
   if (mustInclude.length) lines.push(`Must include (verbatim): ${mustInclude.join(' | ')}`);
+  const facts = factLines(constraints.facts);
+  if (facts.length) lines.push(`Must keep these facts (words may be translated; numbers, links, emails, phones and @handles exactly):\n${facts.map(f => '- ' + f).join('\n')}`);
   if (hashtags.length) lines.push(`Seed hashtags: ${hashtags.map(t => '#' + String(t).replace(/^#/, '')).join(' ')}`);
+  lines.push(`Hashtags: at most ${hashtagsMax(clientPrefs)}.`);
+  const library = parseLibrary(clientPrefs.hashtag_library);
+  if (library.banned.length) lines.push(`Never use these hashtags: ${library.banned.map(t => '#' + t).join(' ')}`);
+  if (photo === 'attached') lines.push(`Photo: attached. Describe what is actually in it; do not invent items that are not visible or in the seed.`);
+  else if (photo) lines.push(`Photo shows: ${photo}`);
+  if (clientPrefs.banned_words?.length) lines.push(`Never use these words: ${clientPrefs.banned_words.join(', ')}`);
+  if (clientPrefs.cta_pool?.length) lines.push(`End with exactly one of these calls to action: ${clientPrefs.cta_pool.join(' | ')}`);
 
   return [
-    `You are a marketing copywriter for small local businesses on Instagram/Facebook.`,
-    `Given a brief seed from the user, produce a single engaging caption and a tight set of hashtags.`,
+    preamble || renderTemplate(builtinTemplate('caption'), { business_type: clientPrefs.business_type }),
     `Hard rules:`,
-    `- Output JSON ONLY with keys: "caption_final" (string) and "hashtags" (array of strings).`,
-    `- Caption must be platform-friendly (<= 500 chars), no profanity, no hard-sell.`,
-    `- If emoji=off, use none. If tone=formal, avoid slang. If length=short, aim <= 180 chars.`,
-    `- Never invent prices or claims not given.`,
+    photo
+      ? `- Output JSON ONLY with keys: "caption_final" (string), "hashtags" (array of strings) and "alt_text" (plain description of the photo for screen readers, <= 125 chars, caption language, no hashtags or emojis).`
+      : `- Output JSON ONLY with keys: "caption_final" (string) and "hashtags" (array of strings).`,
+    `- Caption must be platform-friendly (<= ${captionMax(languages)} chars), no profanity, no hard-sell.`,
+    `- If emoji=off, use none. If tone=formal, avoid slang. If length=short, aim <= 180 chars${languages.length > 1 ? ' per language' : ''}.`,
+    `- Never invent prices, discounts or claims not given.`,
     `- Respect "must include" terms exactly.`,
     ``,
     `Constraints:`,
     ...lines,
+    ...fewShot(examples),
+    ...(feedback.length ? [``, `Your previous caption failed these checks, fix them:`, ...feedback] : []),
     ``,
     `Seed: ${seedText}`
   ].join('\n');
 }
 
+function fewShot(examples = []) {
+  const picked = examples
+    .map(e => String(e || '').replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .slice(0, EXAMPLES_MAX);
+  if (!picked.length) return [];
+  return [
+    ``,
+    `Captions this client approved before (match their voice and style; do not copy them or reuse their facts):`,
+    ...picked.map((e, i) => `${i + 1}) ${e.length > EXAMPLE_CHARS ? e.slice(0, EXAMPLE_CHARS - 1) + '…' : e}`)
+  ];
+}
+
+// Bilingual captions carry two versions, so they get twice the room
+function captionMax(languages) {
+  return languages.length > 1 ? 1000 : 500;
+}
+
+function hashtagsMax(clientPrefs = {}) {
+  if (clientPrefs.hashtags_max == null || clientPrefs.hashtags_max === '') return DEFAULT_HASHTAGS_MAX;
+  const n = Number(clientPrefs.hashtags_max);
+  return Number.isFinite(n) && n >= 0 ? n : DEFAULT_HASHTAGS_MAX;
+}
+
 function sanitizeHashtags(list) {
   const seen = new Set();
   const out = [];
   for (const raw of Array.isArray(list) ? list : []) {
-    let tag = String(raw || '').trim();
+    // NFC first so "kávé" typed with combining accents stays one tag, accents intact
+    let tag = String(raw || '').normalize('NFC').trim();
     if (!tag) continue;
     tag = tag.startsWith('#') ? tag.slice(1) : tag;
-    tag = tag.replace(/[^\p{Letter}\p{Number}_]/gu, '');
+    tag = tag.replace(/[^\p{Letter}\p{Mark}\p{Number}_]/gu, '');
     if (!tag) continue;
-    const lower = tag.toLowerCase();
+    const lower = tag.toLocaleLowerCase();
     if (seen.has(lower)) continue;
     seen.add(lower);
     out.push('#' + tag);
-    if (out.length >= 8) break; // keep it tight
+    if (out.length >= MODEL_HASHTAGS_MAX) break;
   }
   return out;
 }
 
-export async function generateCaptionAndTags({ seedText, constraints = {}, clientPrefs = {} } = {}) {
-  if (!OPENAI_API_KEY) {
-    throw new Error('OPENAI_API_KEY missing');
+// Models sometimes wrap JSON in prose or fences; take the outermost {...}
+function parseJsonObject(text) {
+  const raw = String(text || '').trim();
+  try { return JSON.parse(raw); } catch {}
+  const start = raw.indexOf('{');
+  const end = raw.lastIndexOf('}');
+  if (start >= 0 && end > start) {
+    try { return JSON.parse(raw.slice(start, end + 1)); } catch {}
   }
-  const prompt = buildPrompt(seedText || '', constraints, clientPrefs);
-
-  const body = {
-    model: OPENAI_MODEL,
-    response_format: { type: 'json_object' },
-    messages: [
-      { role: 'system', content: 'You return STRICT JSON only. No prose, no code fences.' },
-      { role: 'user', content: prompt }
-    ],
-    temperature: 0.7,
-    max_tokens: 400
-  };
-
-  const res = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${OPENAI_API_KEY}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(body)
-  });
+  return {};
+}
 
-  const json = await res.json();
-  if (!res.ok) {
-    throw new Error(`OpenAI error: ${res.status} ${JSON.stringify(json)}`);
+// For text-only caption models: one vision call turns the photo into a sentence the prompt can use
+async function describePhoto(imageUrl, usage) {
+  if (!VISION_PROVIDER || !supportsVision(VISION_PROVIDER)) return null;
+  try {
+    const res = await complete({
+      provider: VISION_PROVIDER,
+      prompt: 'Describe this photo in one or two plain sentences for a social media copywriter: what is shown, colours, setting. No guesses about prices or names.',
+      imageUrl,
+      temperature: 0.2,
+      maxTokens: 120
+    });
+    usage.push(usageOf('photo', res));
+    return String(res.text || '').trim() || null;
+  } catch (e) {
+    console.error('[generate] photo description failed:', e?.message || e);
+    return null;
   }
+}
+
+async function generateOnce({ seedText, constraints, clientPrefs, feedback, photo, imageUrl, preamble, examples, usage }) {
+  const prompt = buildPrompt(seedText || '', constraints, clientPrefs, feedback, photo, preamble, examples);
+  const { provider, model } = resolveProvider(clientPrefs);
+
+  const res = await complete({
+    provider,
+    model,
+    system: 'You return STRICT JSON only. No prose, no code fences.',
+    prompt,
+    imageUrl: photo === 'attached' ? imageUrl : null,
+    json: true,
+    temperature: 0.7,
+    maxTokens: photo ? 500 : 400
+  });
+  usage.push(usageOf('caption', res));
 
   // Extract assistant JSON
-  const content = json?.choices?.[0]?.message?.content || '{}';
-  let parsed;
-  try { parsed = JSON.parse(content); } catch { parsed = {}; }
+  const parsed = parseJsonObject(res.text);
 
-  let caption = String(parsed.caption_final || '').slice(0, 500);
+  const maxLen = captionMax(parseLanguages(constraints.language || clientPrefs.language));
+  let caption = String(parsed.caption_final || '').slice(0, maxLen);
   if (!caption) {
     // Fallback if model went off-format
     caption = String((Array.isArray(parsed) ? parsed[0] : '') || ''); 
-    caption = caption.slice(0, 500);
+    caption = caption.slice(0, maxLen);
   }
 
-  const tags = sanitizeHashtags(parsed.hashtags || []);
-  return { caption_final: caption, hashtags: tags };
+  // Banned words never survive as hashtags; no need to spend a regeneration on that
+  const banned = (clientPrefs.banned_words || []).map(w => String(w).toLocaleLowerCase());
+  const tags = sanitizeHashtags(parsed.hashtags || [])
+    .filter(t => !banned.some(w => w && t.slice(1).toLocaleLowerCase().includes(w)));
+  const altText = photo ? String(parsed.alt_text || '').trim().slice(0, ALT_TEXT_MAX) || null : null;
+  return { caption_final: caption, hashtags: tags, alt_text: altText };
+}
+
+// validation_failures: rules the final caption still breaks ([] when clean)
+// caption_final / hashtags are the primary platform's version (what the client previews)
+export async function generateCaptionAndTags({
+  seedText,
+  constraints = {},
+  clientPrefs = {},
+  platforms = PLATFORMS,
+  imageUrl = null,
+  preamble = null,
+  recentHashtags = [],
+  examples = []
+} = {}) {
+  const usage = [];
+  try {
+    let photo = null;
+    if (imageUrl) photo = supportsVision(resolveProvider(clientPrefs).provider) ? 'attached' : await describePhoto(imageUrl, usage);
+
+    let result = null;
+    let failures = [];
+    for (let attempt = 1; attempt <= VALIDATE_ATTEMPTS; attempt++) {
+      result = await generateOnce({ seedText, constraints, clientPrefs, feedback: describeFailures(failures), photo, imageUrl, preamble, examples, usage });
+      failures = validateCaption({ caption: result.caption_final, constraints, clientPrefs, seedText });
+      if (!failures.length) break;
+      console.error(`[generate] validation failed (attempt ${attempt}/${VALIDATE_ATTEMPTS}):`, failures.map(f => f.rule).join(', '));
+    }
+    const hashtags = reconcileHashtags({
+      generated: result.hashtags,
+      library: clientPrefs.hashtag_library,
+      max: hashtagsMax(clientPrefs),
+      recent: recentHashtags
+    });
+    const captions = buildPlatformCaptions({ caption: result.caption_final, hashtags, platforms });
+    const primary = captions[PRIMARY_PLATFORM] || { caption: result.caption_final, hashtags };
+    // A described photo's description doubles as alt text if the model left it out
+    const altText = result.alt_text || (photo && photo !== 'attached' ? photo.slice(0, ALT_TEXT_MAX) : null);
+    return { caption_final: primary.caption, hashtags: primary.hashtags, captions, alt_text: altText, validation_failures: failures, usage };
+  } catch (e) {
+    // Calls made before the failure are still billed; callers record e.usage
+    e.usage = usage;
+    throw e;
+  }
 }
@@ -0,0 +1,42 @@
+// lib/graph.js
+// Minimal Graph API client for Page / Instagram publishing.
+// FB_GRAPH_BASE lets us point the publisher at a local stand-in
+// (e.g. http://localhost:4010/v20.0) instead of graph.facebook.com.
+
+const GRAPH_VER = process.env.FB_GRAPH_VER || 'v20.0';
+const GRAPH_BASE = (process.env.FB_GRAPH_BASE || `https://graph.facebook.com/${GRAPH_VER}`).replace(/\/+$/, '');
+
+/**
+ * Call the Graph API and return the parsed JSON body.
+ * Throws an Error carrying `status` and `graph` (Graph's error object) on failure.
+ * @param {'GET'|'POST'} method
+ * @param {string} path  e.g. "/123/photos"
+ * @param {{ token: string, params?: Record<string, any> }} opts
+ */
+export async function graphRequest(method, path, { token, params = {} } = {}) {
+  if (!token) throw new Error('graph: missing access token');
+
+  const url = new URL(GRAPH_BASE + (path.startsWith('/') ? path : `/${path}`));
+  const init = { method, headers: { Authorization: `Bearer ${token}` } };
+
+  const form = new URLSearchParams();
+  for (const [k, v] of Object.entries(params)) {
+    if (v === undefined || v === null) continue;
+    form.set(k, typeof v === 'object' ? JSON.stringify(v) : String(v));
+  }
+  if (method === 'GET') {
+    for (const [k, v] of form) url.searchParams.set(k, v);
+  } else {
+    init.body = form;
+  }
+
+  const res = await fetch(url, init);
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok || json?.error) {
+    const err = new Error(`Graph ${res.status} — ${json?.error?.message || JSON.stringify(json)}`);
+    err.status = res.status;
+    err.graph = json?.error || null;
+    throw err;
+  }
+  return json;
+}
@@ -0,0 +1,86 @@
+// /lib/hashtags.js  (ESM)
+// Reconcile generated hashtags with the client's hashtag library (clients.hashtag_library jsonb):
+//   { "always": ["pestpekseg"], "pools": { "product": ["kovasz", "croissant", ...], "area": [...] },
+//     "pool_pick": 2, "banned": ["follow4follow"] }
+// Order of the result: always-include tags, then pool tags, then the model's own, capped at hashtags_max.
+// Pool tags rotate least-recently-used against the client's recent posts, so consecutive posts differ.
+// Exports: normalizeTag(tag), parseLibrary(raw), reconcileHashtags({ generated, library, max, recent })
+
+const DEFAULT_POOL_PICK = 2;
+
+/** '#Kávé ' → 'Kávé' (NFC, no '#', letters/marks/digits/_ only); '' when nothing is left. */
+export function normalizeTag(tag) {
+  return String(tag || '').normalize('NFC').trim().replace(/^#+/, '').replace(/[^\p{L}\p{M}\p{N}_]/gu, '');
+}
+
+const keyOf = (tag) => normalizeTag(tag).toLocaleLowerCase();
+
+function tagList(v) {
+  const arr = Array.isArray(v) ? v : typeof v === 'string' ? v.split(',') : [];
+  return arr.map(normalizeTag).filter(Boolean);
+}
+
+/** Library from the clients row value (jsonb or JSON string); missing parts become empty. */
+export function parseLibrary(raw) {
+  let lib = raw;
+  if (typeof raw === 'string') {
+    try { lib = JSON.parse(raw); } catch { lib = null; }
+  }
+  if (!lib || typeof lib !== 'object') return { always: [], pools: {}, pool_pick: DEFAULT_POOL_PICK, banned: [] };
+  const pools = {};
+  for (const [name, tags] of Object.entries(lib.pools || {})) {
+    const list = tagList(tags);
+    if (list.length) pools[name] = list;
+  }
+  return {
+    always: tagList(lib.always),
+    pools,
+    pool_pick: Math.max(0, Number(lib.pool_pick ?? DEFAULT_POOL_PICK)),
+    banned: tagList(lib.banned)
+  };
+}
+
+/**
+ * @param {{ generated: string[], library: object, max: number, recent?: string[][] }} p
+ *   recent: hashtag lists of the client's latest posts, newest first
+ * @returns {string[]} tags with '#'
+ */
+export function reconcileHashtags({ generated = [], library = null, max = 6, recent = [] }) {
+  const lib = library && Array.isArray(library.always) ? library : parseLibrary(library);
+  const banned = new Set(lib.banned.map(keyOf));
+  const cap = Math.max(0, Number.isFinite(Number(max)) ? Number(max) : 6);
+
+  // How many posts ago each tag was last used (Infinity = not recently)
+  const lastUsed = new Map();
+  recent.forEach((tags, i) => {
+    for (const t of Array.isArray(tags) ? tags : []) {
+      const k = keyOf(t);
+      if (k && !lastUsed.has(k)) lastUsed.set(k, i);
+    }
+  });
+  const age = (tag) => (lastUsed.has(keyOf(tag)) ? lastUsed.get(keyOf(tag)) : Infinity);
+
+  const out = [];
+  const seen = new Set();
+  const add = (tag) => {
+    const k = keyOf(tag);
+    if (!k || seen.has(k) || banned.has(k) || out.length >= cap) return;
+    seen.add(k);
+    out.push('#' + normalizeTag(tag));
+  };
+
+  lib.always.forEach(add);
+
+  for (const tags of Object.values(lib.pools)) {
+    // Oldest-used first; stable sort keeps library order among equals
+    const picks = tags
+      .filter(t => !seen.has(keyOf(t)) && !banned.has(keyOf(t)))
+      .map((t, i) => ({ t, i, age: age(t) }))
+      .sort((a, b) => (b.age - a.age) || (a.i - b.i))
+      .slice(0, lib.pool_pick);
+    picks.forEach(p => add(p.t));
+  }
+
+  generated.forEach(add);
+  return out;
+}
@@ -0,0 +1,64 @@
+// /lib/holidays.js  (ESM)
+// Built-in national holiday calendars (no external deps). Dates are local calendar days "YYYY-MM-DD".
+
+function pad(n){ return String(n).padStart(2,'0'); }
+
+function ymd(Y, M, D) {
+  const d = new Date(Date.UTC(Y, M - 1, D));
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+}
+
+// Gregorian Easter Sunday (Anonymous / Meeus–Jones–Butcher algorithm) → { M, D }
+export function easterSunday(Y) {
+  const a = Y % 19, b = Math.floor(Y / 100), c = Y % 100;
+  const d = Math.floor(b / 4), e = b % 4, f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4), k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const M = Math.floor((h + l - 7 * m + 114) / 31);
+  const D = ((h + l - 7 * m + 114) % 31) + 1;
+  return { M, D };
+}
+
+const huCache = new Map();
+
+/**
+ * Hungarian public holidays (munkaszüneti napok) for a year, movable feasts included.
+ * @returns {{ date: string, name: string }[]}
+ */
+export function hungarianHolidays(Y) {
+  if (huCache.has(Y)) return huCache.get(Y);
+  const { M: eM, D: eD } = easterSunday(Y);
+  const easter = offset => ymd(Y, eM, eD + offset);
+
+  const list = [
+    { date: ymd(Y, 1, 1),   name: 'Újév' },
+    { date: ymd(Y, 3, 15),  name: 'Nemzeti ünnep (1848)' },
+    { date: easter(-2),     name: 'Nagypéntek' },
+    { date: easter(0),      name: 'Húsvétvasárnap' },
+    { date: easter(1),      name: 'Húsvéthétfő' },
+    { date: ymd(Y, 5, 1),   name: 'A munka ünnepe' },
+    { date: easter(49),     name: 'Pünkösdvasárnap' },
+    { date: easter(50),     name: 'Pünkösdhétfő' },
+    { date: ymd(Y, 8, 20),  name: 'Államalapítás ünnepe' },
+    { date: ymd(Y, 10, 23), name: 'Nemzeti ünnep (1956)' },
+    { date: ymd(Y, 11, 1),  name: 'Mindenszentek' },
+    ...(Y >= 2025 ? [{ date: ymd(Y, 12, 24), name: 'Szenteste' }] : []),
+    { date: ymd(Y, 12, 25), name: 'Karácsony' },
+    { date: ymd(Y, 12, 26), name: 'Karácsony másnapja' }
+  ].sort((a, b) => a.date.localeCompare(b.date));
+
+  huCache.set(Y, list);
+  return list;
+}
+
+const CALENDARS = { HU: hungarianHolidays };
+
+// Holiday on a given local date for a calendar code ('HU'), or null. Unknown / 'none' → null.
+export function holidayOn(calendar, date) {
+  const fn = CALENDARS[String(calendar || '').toUpperCase()];
+  if (!fn) return null;
+  return fn(Number(date.slice(0, 4))).find(h => h.date === date) || null;
+}
@@ -0,0 +1,52 @@
+// lib/ig-publish.js
+// Instagram Business publishing: create a media container, wait for it, publish it.
+// The wait is NOT done here — callers poll getIgContainerStatus() on later cron ticks.
+
+import { graphRequest } from './graph.js';
+
+/**
+ * Step 1: create an image container from a public (signed) URL, with optional alt text.
+ * @returns {Promise<string>} container (creation) id
+ */
+export async function createIgContainer({ igUserId, token, imageUrl, caption, altText = null }) {
+  if (!igUserId) throw new Error('instagram: missing ig user id');
+  if (!imageUrl) throw new Error('instagram: image required');
+  const res = await graphRequest('POST', `/${encodeURIComponent(igUserId)}/media`, {
+    token, params: { image_url: imageUrl, caption, ...(altText ? { alt_text: altText } : {}) }
+  });
+  if (!res?.id) throw new Error('instagram: container id missing');
+  return res.id;
+}
+
+/**
+ * Step 2: container status — FINISHED | IN_PROGRESS | ERROR | EXPIRED | PUBLISHED.
+ * A response without status_code throws, so the caller's retry policy sees it instead of waiting forever.
+ */
+export async function getIgContainerStatus({ containerId, token }) {
+  const res = await graphRequest('GET', `/${encodeURIComponent(containerId)}`, {
+    token, params: { fields: 'status_code,status' }
+  });
+  if (!res?.status_code) throw new Error(`instagram: container ${containerId} status missing`);
+  return { status_code: res.status_code, status: res.status || null };
+}
+
+/**
+ * Step 3: publish a FINISHED container.
+ * @returns {Promise<{ id: string, permalink: string|null }>}
+ */
+export async function publishIgContainer({ igUserId, token, containerId }) {
+  const res = await graphRequest('POST', `/${encodeURIComponent(igUserId)}/media_publish`, {
+    token, params: { creation_id: containerId }
+  });
+
+  let permalink = null;
+  try {
+    const meta = await graphRequest('GET', `/${encodeURIComponent(res.id)}`, {
+      token, params: { fields: 'permalink' }
+    });
+    permalink = meta?.permalink || null;
+  } catch (e) {
+    console.warn('instagram: permalink lookup failed', e?.message || e);
+  }
+  return { id: res.id, permalink };
+}
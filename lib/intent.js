@@ -0,0 +1,121 @@
+// /lib/intent.js  (ESM)
+// What a free-text reply to "Request edit" actually asks for, so it isn't always treated as a caption edit.
+//   caption_edit — "shorter", "mention the opening hours", "in English"
+//   image_edit   — "brighter photo", "square", "use the other picture"
+//   schedule     — "post it tomorrow at 10", "holnap 9-kor tedd ki", "post it now"
+//   cancel       — "cancel", "never mind", "mégse"
+//   question     — "when will it go live?", "mennyibe kerül?"
+// Rules decide the clear cases; the rest go to the client's model (lib/llm.js), and caption_edit is the fallback.
+// Exports: INTENTS, IMAGE_EDIT_EXAMPLES, EDIT_EXAMPLES, classifyByRules(text, { tz, defaultTime }),
+//          classifyIntent(text, { clientPrefs, tz, defaultTime }) → { intent, source: 'rules' | 'llm' | 'default', at: Date | null, usage }
+
+import { complete, resolveProvider } from './llm.js';
+import { parseConstraints } from './constraints.js';
+import { parseWhen } from './when.js';
+
+export const INTENTS = ['caption_edit', 'image_edit', 'schedule', 'cancel', 'question'];
+
+// Phrases the bot suggests to clients; each must classify and parse on its own (test/intent.test.js)
+export const IMAGE_EDIT_EXAMPLES = ['brighter', 'darker', 'fix the lighting', 'add contrast', 'crop tighter', 'square', 'portrait', 'story format'];
+export const EDIT_EXAMPLES = ['brighter image', 'square', 'story format', 'shorter text', 'mention opening hours'];
+
+const INTENT_TIMEOUT_MS = 8000;
+
+const fold = (s) => String(s || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().trim();
+
+// Whole message is a cancel ("cancel 12" is a queue command and never gets here)
+const CANCEL_RE = /^(cancel|stop|never\s?mind|forget (it|about it)|leave it( as it is)?|no changes?|megse|megsem|hagyjuk|hagyd( igy)?|nem kell)(\s+(it|that|this|the edit|please|pls|kosz|koszi))?[\s.!]*$/;
+// "post it", not "the post should say …"
+const SCHEDULE_VERB_RE = /\b((post|share) (it|this|that)|publish|schedule|go live|put it (up|out)|posztold|posztolj|tedd ki|rakd ki|tegyuk ki|idozitsd|utemezd|jelenjen meg|mehet)\b/;
+const NOW_RE = /\b(now|right away|asap|most|azonnal)\b/;
+const PHOTO_RE = /\b(photo|picture|pic|image|kep|kepet|foto|fotot)\b/;
+const QUESTION_START_RE = /^(what|when|where|why|how|who|which|is|are|do|does|did|will|mi|mit|mikor|hol|miert|hogyan|hogy|ki|melyik|mennyi|mennyibe|mennyit)\b/;
+// "can you make it shorter?" is a request, not a question
+const REQUEST_RE = /^(can|could|would|will) (you|u)\b|^(please|pls|kerlek)\b|\b(tudnad|lehetne|legyszi|legyszives)\b/;
+// "is it ok to add a discount?" may be an edit in question form — the model decides those
+const EDIT_VERB_RE = /\b(add|mention|change|include|remove|drop|put|write|say|make|use|replace|tegy\w*|ird|irj\w*|emlit\w*|valtoztas\w*|modosit\w*|cserel\w*|hagyd ki|vedd ki)\b/;
+
+function hasCaptionKnobs(c) {
+  return Boolean(c.length || c.tone || c.emoji || c.language || c.price
+    || c.must_include?.length || c.hashtags?.length);
+}
+
+/**
+ * Clear-cut cases only; null when the rules can't tell.
+ * @returns {{ intent: string, at: Date|null } | null}
+ */
+export function classifyByRules(text, { tz = 'Europe/Budapest', defaultTime = '10:00', nowUtc = new Date() } = {}) {
+  const t = fold(text);
+  if (!t) return null;
+  if (CANCEL_RE.test(t)) return { intent: 'cancel', at: null };
+
+  const c = parseConstraints(text);
+  if (SCHEDULE_VERB_RE.test(t) && !hasCaptionKnobs(c)) {
+    const at = NOW_RE.test(t) ? new Date(nowUtc) : parseWhen(text, { tz, defaultTime, nowUtc });
+    if (at) return { intent: 'schedule', at };
+  }
+  if (hasCaptionKnobs(c)) return { intent: 'caption_edit', at: null };
+  // parseConstraints only reports image hints from clauses about the photo; focus alone doesn't count
+  const { focus, ...imageHints } = c.image || {};
+  if (Object.keys(imageHints).length || PHOTO_RE.test(t)) return { intent: 'image_edit', at: null };
+  if (/\?\s*$/.test(t) && QUESTION_START_RE.test(t) && !REQUEST_RE.test(t) && !EDIT_VERB_RE.test(t)) {
+    return { intent: 'question', at: null };
+  }
+  return null;
+}
+
+function classifyPrompt(text) {
+  return [
+    'A small business owner was asked on WhatsApp what to change in a draft social media post. Classify their reply.',
+    'Answer JSON only: {"intent": "<one of caption_edit | image_edit | schedule | cancel | question>"}',
+    '- caption_edit: change the post text (wording, length, tone, language, what to mention).',
+    '- image_edit: change the photo (brightness, crop, format, a different photo).',
+    '- schedule: when to publish it ("post it tomorrow at 10").',
+    '- cancel: they no longer want a change.',
+    '- question: they ask something instead of asking for a change.',
+    '',
+    `Reply: """${String(text || '').slice(0, 500)}"""`
+  ].join('\n');
+}
+
+/**
+ * Rules first, then the client's model. Model errors never block the edit: it falls back to caption_edit.
+ * @returns {Promise<{ intent: string, source: 'rules'|'llm'|'default', at: Date|null, usage: object[] }>}
+ */
+export async function classifyIntent(text, { clientPrefs = {}, tz = 'Europe/Budapest', defaultTime = '10:00', nowUtc = new Date() } = {}) {
+  const byRules = classifyByRules(text, { tz, defaultTime, nowUtc });
+  if (byRules) return { ...byRules, source: 'rules', usage: [] };
+
+  const { provider, model } = resolveProvider(clientPrefs);
+  try {
+    const res = await complete({
+      provider,
+      model,
+      prompt: classifyPrompt(text),
+      json: true,
+      temperature: 0,
+      maxTokens: 30,
+      timeoutMs: INTENT_TIMEOUT_MS,
+      retries: 0
+    });
+    const usage = [{
+      step: 'intent',
+      provider: res.provider,
+      model: res.model,
+      prompt_tokens: res.usage?.prompt_tokens ?? null,
+      completion_tokens: res.usage?.completion_tokens ?? null,
+      latency_ms: res.latency_ms,
+      attempts: res.attempts
+    }];
+    let intent = null;
+    try { intent = JSON.parse(String(res.text || '').match(/\{[\s\S]*\}/)?.[0] || '{}').intent; } catch {}
+    if (INTENTS.includes(intent)) {
+      const at = intent === 'schedule' ? (NOW_RE.test(fold(text)) ? new Date(nowUtc) : parseWhen(text, { tz, defaultTime, nowUtc })) : null;
+      return { intent, source: 'llm', at, usage };
+    }
+    return { intent: 'caption_edit', source: 'default', at: null, usage };
+  } catch (e) {
+    console.error('[intent] classification failed, treating as caption edit:', e?.message || e);
+    return { intent: 'caption_edit', source: 'default', at: null, usage: [] };
+  }
+}
@@ -0,0 +1,187 @@
+// /lib/llm.js  (ESM)
+// Pluggable chat-completion providers used by the caption generator.
+//   openai    — api.openai.com (OPENAI_API_KEY, OPENAI_MODEL)
+//   anthropic — api.anthropic.com Messages API (ANTHROPIC_API_KEY, ANTHROPIC_MODEL)
+//   local     — any OpenAI-compatible server, e.g. Ollama / llama.cpp (LOCAL_LLM_URL, LOCAL_LLM_MODEL)
+//   fake      — deterministic, offline; for tests and dry runs
+// Exports: complete({ provider, model, system, prompt, imageUrl, json, temperature, maxTokens, timeoutMs }),
+//          resolveProvider(prefs), supportsVision(provider)
+
+const DEFAULT_PROVIDER = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+const LLM_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS || 20000);
+const LLM_MAX_RETRIES = Number(process.env.LLM_MAX_RETRIES || 2);
+
+const DEFAULT_MODELS = {
+  openai: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  anthropic: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+  local: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+  fake: 'fake-1'
+};
+
+// Providers whose default models accept an image next to the prompt. Local models mostly don't (LOCAL_LLM_VISION=1 if yours does).
+const VISION = {
+  openai: true,
+  anthropic: true,
+  local: process.env.LOCAL_LLM_VISION === '1',
+  fake: true
+};
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function httpError(provider, status, body) {
+  const err = new Error(`${provider} error: ${status} ${typeof body === 'string' ? body : JSON.stringify(body)}`);
+  err.status = status;
+  return err;
+}
+
+async function postJson(provider, url, headers, body, timeoutMs) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = httpError(provider, res.status, json);
+    err.retryAfterSec = Number(res.headers.get('retry-after')) || null;
+    throw err;
+  }
+  return json;
+}
+
+// OpenAI chat completions shape (also used by the local OpenAI-compatible backend)
+function openAiCompatible(provider, baseUrl, apiKey) {
+  return async ({ model, system, prompt, imageUrl, json, temperature, maxTokens, timeoutMs }) => {
+    const content = imageUrl
+      ? [{ type: 'text', text: prompt }, { type: 'image_url', image_url: { url: imageUrl } }]
+      : prompt;
+    const body = {
+      model,
+      messages: [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        { role: 'user', content }
+      ],
+      temperature,
+      max_tokens: maxTokens
+    };
+    if (json) body.response_format = { type: 'json_object' };
+
+    const res = await postJson(provider, `${baseUrl.replace(/\/+$/, '')}/chat/completions`,
+      apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, body, timeoutMs);
+    return {
+      text: res?.choices?.[0]?.message?.content || '',
+      usage: {
+        prompt_tokens: res?.usage?.prompt_tokens ?? null,
+        completion_tokens: res?.usage?.completion_tokens ?? null
+      },
+      model: res?.model || model
+    };
+  };
+}
+
+const PROVIDERS = {
+  openai: (opts) => {
+    if (!process.env.OPENAI_API_KEY) throw new Error('OPENAI_API_KEY missing');
+    return openAiCompatible('openai', process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1', process.env.OPENAI_API_KEY)(opts);
+  },
+
+  local: (opts) =>
+    openAiCompatible('local', process.env.LOCAL_LLM_URL || 'http://localhost:11434/v1', process.env.LOCAL_LLM_API_KEY || '')(opts),
+
+  anthropic: async ({ model, system, prompt, imageUrl, json, temperature, maxTokens, timeoutMs }) => {
+    const apiKey = process.env.ANTHROPIC_API_KEY;
+    if (!apiKey) throw new Error('ANTHROPIC_API_KEY missing');
+    const baseUrl = (process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1').replace(/\/+$/, '');
+    const res = await postJson('anthropic', `${baseUrl}/messages`, {
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01'
+    }, {
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      ...(system || json ? { system: [system, json ? 'Respond with a single JSON object only.' : ''].filter(Boolean).join('\n') } : {}),
+      messages: [{
+        role: 'user',
+        content: imageUrl
+          ? [{ type: 'image', source: { type: 'url', url: imageUrl } }, { type: 'text', text: prompt }]
+          : prompt
+      }]
+    }, timeoutMs);
+    return {
+      text: (res?.content || []).filter(b => b.type === 'text').map(b => b.text).join(''),
+      usage: {
+        prompt_tokens: res?.usage?.input_tokens ?? null,
+        completion_tokens: res?.usage?.output_tokens ?? null
+      },
+      model: res?.model || model
+    };
+  },
+
+  // Same prompt → same answer. Echoes the "Seed:" line back as the caption (and as alt text when given an image).
+  fake: async ({ model, prompt, imageUrl, json }) => {
+    const seed = (String(prompt).match(/^Seed:[ \t]*(.*)$/m)?.[1] ?? String(prompt)).trim();
+    const words = seed.toLowerCase().match(/[\p{L}\p{N}]{4,}/gu) || [];
+    const caption = seed.slice(0, 180) || 'Fresh from us today!';
+    const altText = imageUrl ? `Photo: ${caption.slice(0, 100)}` : null;
+    const text = json
+      ? JSON.stringify({ caption_final: caption, hashtags: [...new Set(words)].slice(0, 3), ...(altText ? { alt_text: altText } : {}) })
+      : (altText || caption);
+    return {
+      text,
+      usage: { prompt_tokens: Math.ceil(String(prompt).length / 4), completion_tokens: Math.ceil(text.length / 4) },
+      model
+    };
+  }
+};
+
+function isRetryable(err) {
+  if (err?.name === 'TimeoutError' || err?.name === 'AbortError') return true;
+  if (err?.status === 429 || (err?.status >= 500 && err?.status < 600)) return true;
+  return err instanceof TypeError; // network failure from fetch
+}
+
+export function supportsVision(provider) {
+  return Boolean(VISION[provider]);
+}
+
+// Provider + model for a client (clients.llm_provider / llm_model), env defaults otherwise
+export function resolveProvider(prefs = {}) {
+  const provider = String(prefs.llm_provider || DEFAULT_PROVIDER).toLowerCase();
+  const known = PROVIDERS[provider] ? provider : DEFAULT_PROVIDER;
+  return { provider: known, model: prefs.llm_model || DEFAULT_MODELS[known] };
+}
+
+/**
+ * One completion with timeout + retries on 429 / 5xx / network errors.
+ * @returns {Promise<{ text: string, usage: { prompt_tokens: number|null, completion_tokens: number|null }, model: string, provider: string, latency_ms: number, attempts: number }>}
+ */
+export async function complete({
+  provider = DEFAULT_PROVIDER,
+  model,
+  system = '',
+  prompt,
+  imageUrl = null,
+  json = false,
+  temperature = 0.7,
+  maxTokens = 400,
+  timeoutMs = LLM_TIMEOUT_MS,
+  retries = LLM_MAX_RETRIES
+} = {}) {
+  const impl = PROVIDERS[provider];
+  if (!impl) throw new Error(`unknown LLM provider: ${provider}`);
+  const useModel = model || DEFAULT_MODELS[provider];
+  const started = Date.now();
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const out = await impl({ model: useModel, system, prompt, imageUrl, json, temperature, maxTokens, timeoutMs });
+      return { ...out, provider, latency_ms: Date.now() - started, attempts: attempt + 1 };
+    } catch (e) {
+      if (attempt >= retries || !isRetryable(e)) throw e;
+      const waitMs = Math.min((e.retryAfterSec ? e.retryAfterSec * 1000 : 500 * 2 ** attempt), 8000);
+      console.warn(`[llm] ${provider} attempt ${attempt + 1} failed (${e?.status || e?.name}), retrying in ${waitMs}ms`);
+      await sleep(waitMs);
+    }
+  }
+}
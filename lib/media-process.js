@@ -0,0 +1,160 @@
+// lib/media-process.js
+// Render image edits (parseConstraints().image) into a new file in the `media` bucket,
+// and stamp the client's logo on the copy that is previewed and published (branded/<draft id>.jpg).
+// The source file is never modified; every edit variant gets its own derived file.
+
+import sharp from 'sharp';
+import { supabaseAdmin } from './supabase.js';
+import { parseConstraints } from './constraints.js';
+
+// Instagram feed square / portrait, and story
+const ASPECT_SIZES = {
+  '1:1': { width: 1080, height: 1080 },
+  '4:5': { width: 1080, height: 1350 },
+  '9:16': { width: 1080, height: 1920 }
+};
+
+const TIGHT_CROP = 0.8;   // keep the central 80% of each side
+const MAX_SIDE = 2048;    // untouched aspect: cap the long side
+
+const LOGO_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+
+const clamp = (n, lo, hi) => Math.min(hi, Math.max(lo, n));
+// Branding columns may be null or junk; 0 is a real value, not "unset"
+const numberOr = (v, fallback) => (v !== null && v !== '' && Number.isFinite(Number(v)) ? Number(v) : fallback);
+
+async function downloadMedia(path) {
+  const { data: blob, error } = await supabaseAdmin.storage.from('media').download(path);
+  if (error || !blob) throw new Error(`media download error: ${error?.message || 'empty'}`);
+  return Buffer.from(await blob.arrayBuffer());
+}
+
+async function uploadJpeg(path, buffer) {
+  const { error } = await supabaseAdmin.storage
+    .from('media')
+    .upload(path, buffer, { contentType: 'image/jpeg', upsert: true });
+  if (error) throw new Error(`supabase upload error: ${error.message}`);
+}
+
+/** True when the hints ask for anything that changes pixels. */
+export function hasImageEdits(image = {}) {
+  return Boolean(image.crop || image.brightness || image.contrast || image.aspect);
+}
+
+/**
+ * Apply edits to an image buffer. EXIF orientation is always baked in.
+ * Focus only steers where aspect-ratio crops land (attention strategy); it can't locate a named object.
+ * @param {Buffer|Uint8Array} input
+ * @param {{ crop?: 'tighter', focus?: string, brightness?: 'brighter'|'darker'|'auto', contrast?: 'more'|'less', aspect?: '1:1'|'4:5'|'9:16' }} image
+ * @returns {Promise<{ buffer: Buffer, mime: string, width: number, height: number }>}
+ */
+export async function renderImage(input, image = {}) {
+  // Rotate first so every later step sees upright dimensions
+  const { data: upright, info } = await sharp(input).rotate().toBuffer({ resolveWithObject: true });
+  let pipeline = sharp(upright);
+
+  if (image.crop === 'tighter') {
+    const width = Math.round(info.width * TIGHT_CROP);
+    const height = Math.round(info.height * TIGHT_CROP);
+    pipeline = pipeline.extract({
+      left: Math.floor((info.width - width) / 2),
+      top: Math.floor((info.height - height) / 2),
+      width,
+      height
+    });
+  }
+
+  const size = ASPECT_SIZES[image.aspect];
+  if (size) {
+    pipeline = pipeline.resize(size.width, size.height, {
+      fit: 'cover',
+      position: image.focus ? sharp.strategy.attention : 'centre'
+    });
+  } else {
+    pipeline = pipeline.resize(MAX_SIDE, MAX_SIDE, { fit: 'inside', withoutEnlargement: true });
+  }
+
+  if (image.brightness === 'brighter') pipeline = pipeline.modulate({ brightness: 1.15 });
+  if (image.brightness === 'darker') pipeline = pipeline.modulate({ brightness: 0.88 });
+  if (image.brightness === 'auto') pipeline = pipeline.normalise();
+  // linear(a, b): a * x + b, pivoting around mid-grey
+  if (image.contrast === 'more') pipeline = pipeline.linear(1.2, -0.2 * 128);
+  if (image.contrast === 'less') pipeline = pipeline.linear(0.85, 0.15 * 128);
+
+  const { data, info: out } = await pipeline.jpeg({ quality: 88 }).toBuffer({ resolveWithObject: true });
+  return { buffer: data, mime: 'image/jpeg', width: out.width, height: out.height };
+}
+
+/**
+ * Download `sourcePath` from the media bucket, render the edits, upload as derived/<key>.jpg.
+ * @returns {Promise<{ path: string, mime: string, width: number, height: number }>}
+ */
+export async function deriveMedia({ sourcePath, image = {}, key }) {
+  if (!supabaseAdmin) throw new Error('Supabase admin client not configured');
+  if (!sourcePath) throw new Error('media-process: missing source path');
+
+  const rendered = await renderImage(await downloadMedia(sourcePath), image);
+  const safeKey = String(key || crypto.randomUUID()).replace(/[^A-Za-z0-9_-]/g, '_');
+  const path = `derived/${safeKey}.jpg`;
+  await uploadJpeg(path, rendered.buffer);
+
+  return { path, mime: rendered.mime, width: rendered.width, height: rendered.height };
+}
+
+/**
+ * Composite a logo onto an image.
+ * @param {{ position?: string, opacity?: number, scale?: number }} opts scale = logo width as a share of image width
+ * @returns {Promise<Buffer>} JPEG
+ */
+export async function overlayLogo(input, logo, { position = 'bottom-right', opacity = 0.85, scale = 0.18 } = {}) {
+  const { data: base, info } = await sharp(input).rotate().toBuffer({ resolveWithObject: true });
+  const logoWidth = Math.max(16, Math.round(info.width * clamp(numberOr(scale, 0.18), 0.05, 0.5)));
+
+  // dest-in with a 1×1 tile multiplies the logo's own alpha by `opacity`
+  const alpha = Math.round(255 * clamp(numberOr(opacity, 0.85), 0.05, 1));
+  const { data: mark, info: markInfo } = await sharp(logo)
+    .resize({ width: logoWidth, height: Math.round(info.height * 0.5), fit: 'inside' })
+    .ensureAlpha()
+    .composite([{ input: Buffer.from([255, 255, 255, alpha]), raw: { width: 1, height: 1, channels: 4 }, tile: true, blend: 'dest-in' }])
+    .png()
+    .toBuffer({ resolveWithObject: true });
+
+  const margin = Math.round(info.width * 0.03);
+  const pos = LOGO_POSITIONS.includes(position) ? position : 'bottom-right';
+  const left = pos === 'center' ? Math.round((info.width - markInfo.width) / 2)
+    : pos.endsWith('left') ? margin : info.width - markInfo.width - margin;
+  const top = pos === 'center' ? Math.round((info.height - markInfo.height) / 2)
+    : pos.startsWith('top') ? margin : info.height - markInfo.height - margin;
+
+  return sharp(base)
+    .composite([{ input: mark, left: Math.max(0, left), top: Math.max(0, top) }])
+    .jpeg({ quality: 88 })
+    .toBuffer();
+}
+
+/**
+ * Whether a draft's media gets the client's logo: an image, a logo on file, and no "no logo" on the draft
+ * (edit variants carry it in constraints_json; a first message only has it in its text).
+ */
+export function logoApplies(draft = {}, branding = null) {
+  if (!branding?.logo_path || !draft.media_path) return false;
+  if (draft.media_mime && !String(draft.media_mime).startsWith('image/')) return false;
+  const logo = draft.constraints_json?.image?.logo ?? parseConstraints(draft.text_body || '').image.logo;
+  return logo !== 'off';
+}
+
+/**
+ * Branded copy of the draft's current media at branded/<draft id>.jpg, or null when no logo applies.
+ * @param {{ id: number, media_path: string, media_mime?: string, constraints_json?: object }} draft
+ * @param {{ logo_path: string, position?: string, opacity?: number, scale?: number }|null} branding
+ * @returns {Promise<{ path: string, mime: string }|null>}
+ */
+export async function brandDraftMedia(draft, branding) {
+  if (!logoApplies(draft, branding)) return null;
+  if (!supabaseAdmin) throw new Error('Supabase admin client not configured');
+
+  const [photo, logo] = await Promise.all([downloadMedia(draft.media_path), downloadMedia(branding.logo_path)]);
+  const path = `branded/${draft.id}.jpg`;
+  await uploadJpeg(path, await overlayLogo(photo, logo, branding));
+  return { path, mime: 'image/jpeg' };
+}
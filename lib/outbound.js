@@ -0,0 +1,38 @@
+// /lib/outbound.js  (ESM)
+// Message ids of the previews we send (outbound_messages), so a swipe-reply (inbound context.id)
+// can be tied to exactly the draft it quotes, even with several previews open.
+//   kind: 'preview' (image / text with the caption) | 'buttons' (Approve / Request edit / Don't like)
+// `supabase` is passed in (as in lib/clients.js).
+// Exports: recordOutboundMessages(supabase, toWa, draftId, { preview, buttons }),
+//          draftIdForContext(supabase, contextId, fromWa)
+
+import { normalizeWa } from './conversations.js';
+
+/** Best-effort: a failed insert only loses reply targeting for this preview. */
+export async function recordOutboundMessages(supabase, toWa, draftId, ids = {}) {
+  if (!supabase || !Number.isFinite(Number(draftId))) return;
+  const rows = Object.entries(ids)
+    .filter(([, id]) => id)
+    .map(([kind, id]) => ({ wa_message_id: id, draft_id: Number(draftId), to_wa: normalizeWa(toWa), kind }));
+  if (!rows.length) return;
+  const { error } = await supabase
+    .from('outbound_messages')
+    .upsert(rows, { onConflict: 'wa_message_id', ignoreDuplicates: true });
+  if (error) console.error('[outbound] record failed:', error.message || error);
+}
+
+/** Draft a quoted message belongs to, only if we sent it to this same number; null otherwise. */
+export async function draftIdForContext(supabase, contextId, fromWa) {
+  if (!supabase || !contextId) return null;
+  const { data, error } = await supabase
+    .from('outbound_messages')
+    .select('draft_id, to_wa')
+    .eq('wa_message_id', contextId)
+    .maybeSingle();
+  if (error) {
+    console.error('[outbound] context lookup failed:', error.message || error);
+    return null;
+  }
+  if (!data || data.to_wa !== normalizeWa(fromWa)) return null;
+  return Number(data.draft_id);
+}
@@ -0,0 +1,43 @@
+// /lib/platforms.js  (ESM)
+// Per-platform caption rules; one generated caption is fitted to each target.
+// Exports: PLATFORMS, PRIMARY_PLATFORM, PLATFORM_RULES, buildPlatformCaptions({ caption, hashtags, platforms })
+
+export const PLATFORM_RULES = {
+  instagram: { maxChars: 2200, maxTags: 30 },
+  facebook: { maxChars: 5000, maxTags: 3 },
+  gbp: { maxChars: 1500, maxTags: 0 } // Google Business Profile: hashtags don't belong there
+};
+
+export const PLATFORMS = Object.keys(PLATFORM_RULES);
+
+// What the client previews on WhatsApp, and what caption_final / hashtags hold
+export const PRIMARY_PLATFORM = 'instagram';
+
+// Cut at a word boundary and mark the cut, rather than mid-word
+function fitText(text, max) {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return (lastSpace > max * 0.6 ? cut.slice(0, lastSpace) : cut).trimEnd() + '…';
+}
+
+/**
+ * @returns {{ [platform: string]: { caption: string, hashtags: string[] } }}
+ * The hashtag line is appended at publish time, so the caption leaves room for it.
+ */
+export function buildPlatformCaptions({ caption, hashtags = [], platforms = PLATFORMS } = {}) {
+  const out = {};
+  for (const platform of platforms) {
+    const rules = PLATFORM_RULES[platform];
+    if (!rules) continue;
+
+    let text = String(caption || '').trim();
+    const tags = rules.maxTags ? hashtags.slice(0, rules.maxTags) : [];
+    // No-hashtag platforms also lose tags the model wrote inline
+    if (!rules.maxTags) text = text.replace(/(^|\s)#[\p{L}\p{M}\p{N}_]+/gu, '$1').replace(/[ \t]{2,}/g, ' ').trim();
+
+    const tagRoom = tags.length ? tags.join(' ').length + 2 : 0;
+    out[platform] = { caption: fitText(text, Math.max(0, rules.maxChars - tagRoom)), hashtags: tags };
+  }
+  return out;
+}
@@ -0,0 +1,88 @@
+// /lib/preferences.js  (ESM)
+// Learn caption defaults from what a client keeps asking for in edits.
+// Each edit's caption knobs (length / tone / emoji / language from parseConstraints) are counted in
+// clients.edit_stats = { counts: { "length:short": 3, ... }, suggested: { "length:short": "2026-10-19T…" } }.
+// Once a knob reaches EDIT_SUGGEST_THRESHOLD and differs from the client's saved preference, it is
+// offered once as a new default; accepting writes it to the clients row.
+// Exports: editSignals(constraints), recordEditSignals(supabase, clientRow, constraints),
+//          preferenceUpdate(signal), describeSignal(signal)
+
+const EDIT_SUGGEST_THRESHOLD = Number(process.env.EDIT_SUGGEST_THRESHOLD || 3);
+
+const LABELS = {
+  'length:short': 'shorter captions',
+  'length:long': 'longer captions',
+  'tone:formal': 'a more formal tone',
+  'tone:casual': 'a more casual tone',
+  'emoji:off': 'no emojis',
+  'emoji:on': 'emojis'
+};
+
+/** 'length:short', 'emoji:off', 'language:HU+EN', ... for the knobs an edit asked for. */
+export function editSignals(constraints = {}) {
+  const out = [];
+  if (constraints.length) out.push(`length:${constraints.length}`);
+  if (constraints.tone) out.push(`tone:${constraints.tone}`);
+  if (constraints.emoji) out.push(`emoji:${constraints.emoji}`);
+  if (constraints.language) out.push(`language:${constraints.language}`);
+  return out;
+}
+
+/** clients column update that saves a signal as the default, or null for an unknown signal. */
+export function preferenceUpdate(signal) {
+  const idx = String(signal || '').indexOf(':');
+  if (idx < 0) return null;
+  const knob = signal.slice(0, idx);
+  const value = signal.slice(idx + 1);
+  if (knob === 'length' && ['short', 'long'].includes(value)) return { length: value };
+  if (knob === 'tone' && ['formal', 'casual'].includes(value)) return { tone: value };
+  if (knob === 'emoji' && ['on', 'off'].includes(value)) return { emoji_on: value === 'on' };
+  if (knob === 'language' && /^[A-Z]{2}(\+[A-Z]{2})?$/.test(value)) return { language: value };
+  return null;
+}
+
+export function describeSignal(signal) {
+  if (LABELS[signal]) return LABELS[signal];
+  if (signal.startsWith('language:')) return `captions in ${signal.slice(9)}`;
+  return signal;
+}
+
+// Is this already the client's saved default?
+function alreadyDefault(row, signal) {
+  const update = preferenceUpdate(signal);
+  if (!update) return true;
+  return Object.entries(update).every(([col, v]) => {
+    if (col === 'emoji_on') return (row.emoji_on !== false) === v;
+    if (col === 'language') return String(row.language || 'EN').toUpperCase() === v;
+    return (row[col] || null) === v;
+  });
+}
+
+/**
+ * Count this edit's signals on the client row and return the ones to suggest now (at most one per edit).
+ * @returns {Promise<string[]>}
+ */
+export async function recordEditSignals(supabase, row, constraints) {
+  const signals = editSignals(constraints);
+  if (!supabase || !row?.id || !signals.length) return [];
+
+  const stats = row.edit_stats && typeof row.edit_stats === 'object' ? row.edit_stats : {};
+  const counts = { ...(stats.counts || {}) };
+  const suggested = { ...(stats.suggested || {}) };
+  for (const s of signals) counts[s] = (Number(counts[s]) || 0) + 1;
+
+  const suggest = signals
+    .filter(s => counts[s] >= EDIT_SUGGEST_THRESHOLD && !suggested[s] && !alreadyDefault(row, s))
+    .slice(0, 1);
+  for (const s of suggest) suggested[s] = new Date().toISOString();
+
+  const { error } = await supabase
+    .from('clients')
+    .update({ edit_stats: { counts, suggested } })
+    .eq('id', row.id);
+  if (error) {
+    console.error('edit stats update failed:', error.message || error);
+    return [];
+  }
+  return suggest;
+}
@@ -0,0 +1,97 @@
+// /lib/prompts.js  (ESM)
+// Versioned prompt templates from the prompt_templates table, with built-in defaults (version 0).
+//   caption — preamble of the caption prompt (lib/generate.js keeps the hard rules / JSON contract)
+//   edit    — seed for an edit variant; {{previous}} = caption being edited, {{request}} = client's words
+//   dislike — seed for a "Don't like" regeneration; {{previous}} = the original brief
+// Placeholders: {{previous}} {{request}} {{business_type}}. Unknown ones render empty.
+// A template with rollout_pct < 100 reaches that share of clients (stable per from_wa);
+// everyone else gets the next older version that covers them.
+// Exports: selectTemplate({ purpose, businessType, clientKey }), pickTemplate(rows, { purpose, businessType, clientKey }),
+//          renderTemplate(template, vars), builtinTemplate(purpose), PURPOSES
+
+import crypto from 'node:crypto';
+import { supabaseAdmin } from './supabase.js';
+
+const CACHE_MS = 60 * 1000;
+
+const DEFAULTS = {
+  caption: [
+    'You are a marketing copywriter for small local businesses on Instagram/Facebook.',
+    'Given a brief seed from the user, produce a single engaging caption and a tight set of hashtags.'
+  ].join('\n'),
+  edit: '{{previous}}\n\nEdit request: {{request}}',
+  dislike: [
+    '{{previous}}',
+    '',
+    'Rewrite the caption for customers. Keep the same offer & facts.',
+    'Do not mention edits, dislikes, alternatives, or instructions.',
+    'Do not use the words "don\'t like", "dislike", "alternative", "edit", "request edit".'
+  ].join('\n')
+};
+
+export const PURPOSES = Object.keys(DEFAULTS);
+
+let cache = { at: 0, rows: [] };
+
+async function loadActiveTemplates() {
+  if (!supabaseAdmin) return [];
+  if (Date.now() - cache.at < CACHE_MS) return cache.rows;
+  const { data, error } = await supabaseAdmin
+    .from('prompt_templates')
+    .select('id, purpose, business_type, version, body, rollout_pct')
+    .eq('active', true);
+  if (error) {
+    console.error('[prompts] load failed, using built-in templates:', error.message || error);
+    return cache.rows; // last good set (or none)
+  }
+  cache = { at: Date.now(), rows: data || [] };
+  return cache.rows;
+}
+
+// 0..99, stable for a client + template so the same client stays in (or out of) a rollout
+function bucket(clientKey, templateId) {
+  const h = crypto.createHash('sha1').update(`${clientKey || ''}:${templateId}`).digest();
+  return h.readUInt32BE(0) % 100;
+}
+
+export function builtinTemplate(purpose) {
+  return { id: null, purpose, business_type: null, version: 0, body: DEFAULTS[purpose] || '', rollout_pct: 100 };
+}
+
+/**
+ * Newest active template that covers this client: business_type-specific ones first, then generic,
+ * then the built-in default.
+ * @returns {Promise<{ id: number|null, purpose: string, business_type: string|null, version: number, body: string }>}
+ */
+export async function selectTemplate({ purpose, businessType = null, clientKey = '' }) {
+  if (!DEFAULTS[purpose]) throw new Error(`unknown prompt purpose: ${purpose}`);
+  let rows = [];
+  try {
+    rows = await loadActiveTemplates();
+  } catch (e) {
+    console.error('[prompts] select failed:', e?.message || e);
+  }
+  return pickTemplate(rows, { purpose, businessType, clientKey });
+}
+
+/** The selection rules of selectTemplate over already-loaded active rows. */
+export function pickTemplate(rows, { purpose, businessType = null, clientKey = '' }) {
+  const candidates = (rows || []).filter(t => t.purpose === purpose);
+  const bt = businessType ? String(businessType).trim().toLowerCase() : null;
+  const scopes = [
+    candidates.filter(t => bt && String(t.business_type || '').trim().toLowerCase() === bt),
+    candidates.filter(t => !t.business_type)
+  ];
+  for (const scope of scopes) {
+    const ordered = [...scope].sort((a, b) => Number(b.version) - Number(a.version));
+    const hit = ordered.find(t => bucket(clientKey, t.id) < Number(t.rollout_pct ?? 100));
+    if (hit) return hit;
+  }
+  return builtinTemplate(purpose);
+}
+
+/** Substitute {{name}} placeholders; leading/trailing blank space from empty values is dropped. */
+export function renderTemplate(template, vars = {}) {
+  const body = typeof template === 'string' ? template : template?.body || '';
+  return body.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, k) => (vars[k] == null ? '' : String(vars[k]))).trim();
+}
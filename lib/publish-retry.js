@@ -0,0 +1,52 @@
+// /lib/publish-retry.js  (ESM)
+// What the publisher writes back after one publish attempt: posted, still pending (IG processing),
+// retry with exponential backoff, or dead-letter (status 'failed') after PUBLISH_MAX_ATTEMPTS.
+// Exports: PUBLISH_MAX_ATTEMPTS, backoffSeconds(attempt), publishOutcome(row, { result, done, errors }, now)
+
+export const PUBLISH_MAX_ATTEMPTS = Number(process.env.PUBLISH_MAX_ATTEMPTS || 5);
+const PUBLISH_BACKOFF_BASE_SEC = Number(process.env.PUBLISH_BACKOFF_BASE_SEC || 300); // 5m, 10m, 20m, ...
+const PUBLISH_BACKOFF_MAX_SEC = Number(process.env.PUBLISH_BACKOFF_MAX_SEC || 6 * 3600);
+
+/** Delay before attempt `attempt + 1`, given `attempt` failed attempts so far. */
+export function backoffSeconds(attempt) {
+  return Math.min(PUBLISH_BACKOFF_BASE_SEC * 2 ** Math.max(0, attempt - 1), PUBLISH_BACKOFF_MAX_SEC);
+}
+
+/**
+ * Row updates for one publishDraft() run. Every outcome gives the lease back;
+ * 'pending' and 'retry' also release the claim so the runner can pick the row up again.
+ * @param {{ publish_attempts?: number }} row
+ * @param {{ result: object, done: boolean, errors: string[] }} published
+ * @returns {{ outcome: 'posted'|'pending'|'retry'|'failed', attempts: number, updates: object }}
+ */
+export function publishOutcome(row, { result, done, errors }, now = new Date()) {
+  const updates = { posted_result: result, lease_expires_at: null };
+  const attempts = Number(row.publish_attempts || 0);
+
+  if (done) {
+    updates.posted_at = now.toISOString();
+    updates.posted_error = null;
+    updates.next_attempt_at = null;
+    return { outcome: 'posted', attempts, updates };
+  }
+
+  if (!errors.length) {
+    // IG container still processing: re-claimed on the next tick
+    updates.queued_at = null;
+    updates.lease_owner = null;
+    return { outcome: 'pending', attempts, updates };
+  }
+
+  updates.publish_attempts = attempts + 1;
+  updates.posted_error = errors.join(' | ').slice(0, 1000);
+  if (attempts + 1 >= PUBLISH_MAX_ATTEMPTS) {
+    updates.status = 'failed';
+    updates.next_attempt_at = null;
+    return { outcome: 'failed', attempts: attempts + 1, updates };
+  }
+  // The runner picks it up again once next_attempt_at is due
+  updates.queued_at = null;
+  updates.lease_owner = null;
+  updates.next_attempt_at = new Date(now.getTime() + backoffSeconds(attempts + 1) * 1000).toISOString();
+  return { outcome: 'retry', attempts: attempts + 1, updates };
+}
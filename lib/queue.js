@@ -0,0 +1,139 @@
+// /lib/queue.js  (ESM)
+// WhatsApp queue commands for a client's own posts (English / Hungarian):
+//   queue | sor                         — list approved, failed and recently posted drafts
+//   cancel <id> | töröl <id>            — cancel a draft that isn't posted or publishing
+//   move <id> <time> | áthelyez <id> …  — reschedule (times as in lib/when.js)
+//   post <id> now | posztold <id> most  — publish on the next tick
+// `supabase` is passed in (as in lib/clients.js), so the commands run against any client.
+// Exports: QUEUE_HELP, parseQueueCommand(text), buildQueueText(supabase, fromWa, clientPrefs),
+//          applyQueueCommand(supabase, command, fromWa, clientPrefs) → reply text
+
+import { loadWindows, formatSlot } from './scheduling.js';
+import { resolveWhen } from './when.js';
+import { endConversation } from './conversations.js';
+
+export const QUEUE_HELP = 'Commands: queue • cancel <id> • move <id> <time> • post <id> now\n(Magyarul: sor • töröl <id> • áthelyez <id> <idő> • posztold <id> most)';
+
+const FAILED_REPLY = 'Something went wrong — please try again.';
+
+/** @returns {{ cmd: 'list'|'cancel'|'move'|'postnow', id?: number, when?: string } | null} */
+export function parseQueueCommand(text) {
+  const t = String(text || '').trim().replace(/^\//, '');
+  if (/^(queue|sor|sorom)$/i.test(t)) return { cmd: 'list' };
+  let m = t.match(/^(cancel|töröl|torol|mégse|megse)\s+#?(\d+)$/i);
+  if (m) return { cmd: 'cancel', id: Number(m[2]) };
+  m = t.match(/^(move|áthelyez|athelyez|mozgat)\s+#?(\d+)\s+(.+)$/i);
+  if (m) return { cmd: 'move', id: Number(m[2]), when: m[3] };
+  m = t.match(/^(post|posztold|posztol)\s+#?(\d+)(\s+(now|most))?$/i);
+  if (m) return { cmd: 'postnow', id: Number(m[2]) };
+  return null;
+}
+
+function shortCaption(row) {
+  const c = String(row.caption_final || row.text_body || '').replace(/\s+/g, ' ').trim();
+  return c ? ` — “${c.length > 40 ? c.slice(0, 39) + '…' : c}”` : '';
+}
+
+// Approved (pending), failed and recently posted drafts for this client, times in their zone
+export async function buildQueueText(supabase, fromWa, clientPrefs) {
+  const windows = await loadWindows(fromWa);
+  const when = at => formatSlot(at, windows.tz, clientPrefs?.language);
+
+  const { data: open, error: openErr } = await supabase
+    .from('draft_posts')
+    .select('id, status, schedule_strategy, scheduled_at, queued_at, caption_final, text_body')
+    .eq('from_wa', fromWa)
+    .in('status', ['approved', 'failed'])
+    .is('posted_at', null)
+    .order('scheduled_at', { ascending: true, nullsFirst: false })
+    .limit(20);
+  const { data: posted, error: postedErr } = await supabase
+    .from('draft_posts')
+    .select('id, posted_at, caption_final, text_body')
+    .eq('from_wa', fromWa)
+    .not('posted_at', 'is', null)
+    .order('posted_at', { ascending: false })
+    .limit(5);
+  // An unreadable queue must not look like an empty one
+  if (openErr || postedErr) {
+    console.error('[queue] read failed:', (openErr || postedErr).message || openErr || postedErr);
+    return 'Sorry, I couldn’t load your queue right now — please try again in a minute.';
+  }
+
+  const lines = ['📋 Your queue'];
+  for (const r of open || []) {
+    let state;
+    if (r.status === 'failed') state = 'failed ⚠️';
+    else if (r.queued_at) state = 'publishing…';
+    else if (r.scheduled_at) state = when(r.scheduled_at);
+    else if (r.schedule_strategy === 'ai') state = 'AI will pick a time';
+    else state = 'waiting for a time';
+    lines.push(`#${r.id} • ${state}${shortCaption(r)}`);
+  }
+  if (!open?.length) lines.push('Nothing queued.');
+  if (posted?.length) {
+    lines.push('', '✅ Posted');
+    for (const r of posted) lines.push(`#${r.id} • ${when(r.posted_at)}${shortCaption(r)}`);
+  }
+  lines.push('', QUEUE_HELP);
+  return lines.join('\n');
+}
+
+// Apply cancel / move / postnow to one of the client's drafts that is not posted or publishing
+export async function applyQueueCommand(supabase, command, fromWa, clientPrefs) {
+  const { data: row, error: readErr } = await supabase
+    .from('draft_posts')
+    .select('id, status, posted_at, queued_at')
+    .eq('id', command.id)
+    .eq('from_wa', fromWa)
+    .maybeSingle();
+  if (readErr) {
+    console.error('[queue] draft lookup failed:', command, readErr.message || readErr);
+    return FAILED_REPLY;
+  }
+
+  if (!row) return `I can’t find post #${command.id} in your queue.`;
+  if (row.posted_at) return `#${row.id} is already posted — it can’t be changed here.`;
+  if (row.queued_at) return `#${row.id} is being published right now — try again in a few minutes.`;
+
+  let updates;
+  let reply;
+  if (command.cmd === 'cancel') {
+    if (!['draft', 'approved', 'failed'].includes(row.status)) return `#${row.id} is not active (${row.status}).`;
+    updates = { status: 'canceled' };
+    reply = `Canceled #${row.id}. 🗑️`;
+  } else {
+    if (row.status !== 'approved') return `#${row.id} isn’t approved yet — approve it first, then schedule it.`;
+    const windows = await loadWindows(fromWa);
+    const { at, past } = command.cmd === 'postnow'
+      ? { at: new Date(), past: false }
+      : resolveWhen(command.when, { tz: windows.tz, defaultTime: windows.weekday?.[0] || '10:00' });
+    if (past) return 'That time has already passed — please pick a later one. 🕒';
+    if (!at) return `Sorry, I couldn’t read that time. Try e.g. “move ${row.id} tomorrow 9:00” or “áthelyez ${row.id} holnap 18:00”.`;
+    updates = {
+      schedule_strategy: command.cmd === 'postnow' ? 'now' : 'manual',
+      scheduled_at: at.toISOString(),
+      next_attempt_at: null
+    };
+    reply = command.cmd === 'postnow'
+      ? `Queued #${row.id} now. 📥`
+      : `Moved #${row.id} to ${formatSlot(at, windows.tz, clientPrefs?.language)} 📅`;
+  }
+
+  const { data: changed, error } = await supabase
+    .from('draft_posts')
+    .update(updates)
+    .eq('id', row.id)
+    .eq('from_wa', fromWa)
+    .is('posted_at', null)
+    .is('queued_at', null) // never touch a row the publisher holds
+    .select('id');
+  if (error) {
+    console.error('[queue] command failed:', command, error.message);
+    return FAILED_REPLY;
+  }
+  // The publisher claimed (or posted) it between the read and this update
+  if (!changed?.length) return `#${row.id} is already being published — it can’t be changed now.`;
+  await endConversation(fromWa, row.id);
+  return reply;
+}
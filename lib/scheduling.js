@@ -1,27 +1,88 @@
 // /lib/scheduling.js
 import { supabaseAdmin } from './supabase.js';
+import { loadClientRow } from './clients.js';
+import { holidayOn } from './holidays.js';
 
-const TZ = 'Europe/Budapest';
+const TZ = 'Europe/Budapest'; // fallback when neither the client nor settings name one
 const DEFAULTS = {
   weekday: ['18:30'],   // Mon–Fri preferred time(s)
   weekend: ['10:30'],   // Sat–Sun preferred time(s)
   min_gap_hours: 20,    // cooldown between posts
   max_per_day: 1,
   quiet_hours: [],      // e.g., ["21:00","06:30"] if you want later
-  jitter_sec: 720       // ±12 minutes
+  jitter_sec: 720,      // ±12 minutes
+  tz: TZ,
+  // date-level rules
+  holiday_calendar: 'HU', // built-in national calendar ('none' to disable)
+  holiday_policy: 'skip', // 'skip' | 'prefer' | 'allow' on national holidays
+  closed_dates: [],       // e.g., ["12-24..12-26", "2026-08-01..2026-08-14"] (MM-DD repeats yearly)
+  date_overrides: {}      // e.g., {"2026-12-31": {"slots": ["11:00"]}, "2026-11-02": {"skip": true}}
 };
 
-export async function loadWindows() {
+// Keys a client row may override (clients.scheduling_windows JSON)
+const CLIENT_KEYS = [
+  'weekday', 'weekend', 'min_gap_hours', 'max_per_day', 'quiet_hours', 'jitter_sec',
+  'holiday_calendar', 'holiday_policy', 'closed_dates', 'date_overrides'
+];
+
+export function isValidTimeZone(tz) {
+  if (!tz || typeof tz !== 'string') return false;
+  try { new Intl.DateTimeFormat('en-US', { timeZone: tz }); return true; } catch { return false; }
+}
+
+// Global row (settings.scheduling_windows) merged over DEFAULTS
+async function loadGlobalWindows() {
   try {
     const { data, error } = await supabaseAdmin
       .from('settings').select('value').eq('key', 'scheduling_windows').single();
     if (error || !data?.value) return DEFAULTS;
-    return { ...DEFAULTS, ...data.value };
+    const merged = { ...DEFAULTS, ...data.value };
+    if (!isValidTimeZone(merged.tz)) merged.tz = TZ;
+    return merged;
   } catch {
     return DEFAULTS;
   }
 }
 
+// Client overrides (clients.scheduling_windows + clients.timezone) on top of the global windows
+export function resolveClientWindows(base = DEFAULTS, client = null) {
+  const out = { ...base };
+  const own = client?.scheduling_windows && typeof client.scheduling_windows === 'object'
+    ? client.scheduling_windows
+    : {};
+  for (const k of CLIENT_KEYS) {
+    if (own[k] !== undefined && own[k] !== null) out[k] = own[k];
+  }
+  if (isValidTimeZone(client?.timezone)) out.tz = client.timezone;
+  return out;
+}
+
+// Windows for a specific sender (from_wa); global windows when no client matches
+export async function loadWindows(fromWa = null) {
+  const base = await loadGlobalWindows();
+  if (!fromWa) return base;
+  const client = await loadClientRow(supabaseAdmin, fromWa);
+  return resolveClientWindows(base, client);
+}
+
+// Times this client already has taken (scheduled or posted), far enough back to honor min_gap_hours
+export async function loadTakenTimes(fromWa, nowUtc = new Date(), windows = DEFAULTS) {
+  if (!fromWa || !supabaseAdmin) return [];
+  const lookbackH = Math.max(Number(windows.min_gap_hours ?? 20), 24);
+  const since = new Date(nowUtc.getTime() - lookbackH * 3600 * 1000).toISOString();
+  const { data, error } = await supabaseAdmin
+    .from('draft_posts')
+    .select('id, scheduled_at, posted_at')
+    .eq('from_wa', fromWa)
+    .eq('status', 'approved')
+    .or(`scheduled_at.gte.${since},posted_at.gte.${since}`);
+  if (error) {
+    console.warn('scheduling: taken times lookup failed', fromWa, error.message);
+    return [];
+  }
+  return (data || []).map(r => r.posted_at || r.scheduled_at).filter(Boolean);
+}
+
 // ---- timezone helpers (no external deps) ----
 function pad(n){ return String(n).padStart(2,'0'); }
 
@@ -35,7 +96,7 @@ function offsetLabel(tz, atDate) {
   return `${m[1]}${hh}:${mm}`;
 }
 
-function partsInTZ(tz, d) {
+export function partsInTZ(tz, d) {
   const f = new Intl.DateTimeFormat('en-CA', {
     timeZone: tz,
     year: 'numeric', month: '2-digit', day: '2-digit',
@@ -47,7 +108,7 @@ function partsInTZ(tz, d) {
   return { Y, M, D, h, m, s, off, iso: `${Y}-${pad(M)}-${pad(D)}T${pad(h)}:${pad(m)}:${pad(s)}${off}` };
 }
 
-function buildISO(tz, Y, M, D, h, m, s){
+export function buildISO(tz, Y, M, D, h, m, s){
   const off = offsetLabel(tz, new Date(Date.UTC(Y, M-1, D, h, m, s)));
   return `${Y}-${pad(M)}-${pad(D)}T${pad(h)}:${pad(m)}:${pad(s)}${off}`;
 }
@@ -69,17 +130,18 @@ function withinQuiet(tz, d, quiet){
   };
   const s = mk(qStart), e = mk(qEnd);
   if (e > s) return d >= s && d <= e;         // same-day quiet window
-  return d >= s || d <= new Date(e.getTime() + 24*3600*1000); // overnight quiet window
+  return d >= s || d <= e;                     // overnight quiet window (evening part or early-morning part)
 }
 
 // Core: next slot today/tomorrow in TZ, honoring quiet + simple cooldown
-export function nextSlotSimple({ windows, nowUtc = new Date(), tz = TZ, lastAt = null }) {
+export function nextSlotSimple({ windows, nowUtc = new Date(), tz = windows?.tz || TZ, lastAt = null }) {
   const today = partsInTZ(tz, nowUtc);
-  const baseMidnightUTC = new Date(`${today.Y}-${pad(today.M)}-${pad(today.D)}T00:00:00Z`).getTime();
+  // Noon UTC maps to the same calendar day in every zone from -12h to +12h
+  const baseNoonUTC = new Date(`${today.Y}-${pad(today.M)}-${pad(today.D)}T12:00:00Z`).getTime();
 
   const candidates = [];
   for (let dOffset = 0; dOffset < 2; dOffset++) {
-    const dayRef = new Date(baseMidnightUTC + dOffset * 86400000);
+    const dayRef = new Date(baseNoonUTC + dOffset * 86400000);
     const weekend = isWeekend(tz, dayRef);
     const slots = weekend ? (windows.weekend || []) : (windows.weekday || []);
     for (const t of slots) {
@@ -103,3 +165,167 @@ export function nextSlotSimple({ windows, nowUtc = new Date(), tz = TZ, lastAt =
   const jitter = ((Math.random() * (windows.jitter_sec ?? 720)) * 1000) * (Math.random() < 0.5 ? -1 : 1);
   return new Date(pick.getTime() + jitter).toISOString();
 }
+
+// ---- multi-day planner ----
+
+// Small deterministic PRNG (mulberry32) seeded from any string/number
+export function seededRandom(seed = 0) {
+  let h = 1779033703 ^ String(seed).length;
+  for (const ch of String(seed)) {
+    h = Math.imul(h ^ ch.charCodeAt(0), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  let a = h >>> 0;
+  return function rand() {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function dayKey(tz, d) {
+  const { Y, M, D } = partsInTZ(tz, d);
+  return `${Y}-${pad(M)}-${pad(D)}`;
+}
+
+// "2026-12-24", "12-24", "12-24..12-26", "2026-08-01..2026-08-14" or { from, to, note }
+function closureMatches(entry, date) {
+  const raw = typeof entry === 'object' && entry ? entry : { range: String(entry || '') };
+  let [from, to] = raw.range !== undefined ? raw.range.split('..').map(x => x.trim()) : [raw.from, raw.to];
+  if (!from) return false;
+  to = to || from;
+  if (from.length === 5 && to.length === 5) {          // yearly MM-DD, may wrap the new year
+    const md = date.slice(5);
+    return from <= to ? md >= from && md <= to : md >= from || md <= to;
+  }
+  return date >= from && date <= to;
+}
+
+/**
+ * What the planner does on a local date: override → client closure → national holiday → regular windows.
+ * @returns {{ date: string, weekend: boolean, action: 'normal'|'skip'|'prefer', reason: string|null, name: string|null, slots: string[] }}
+ */
+export function dayRule(windows, Y, M, D) {
+  const date = `${Y}-${pad(M)}-${pad(D)}`;
+  const weekend = [0, 6].includes(new Date(Date.UTC(Y, M - 1, D)).getUTCDay());
+  const regular = weekend ? (windows.weekend || []) : (windows.weekday || []);
+  const out = { date, weekend, action: 'normal', reason: null, name: null, slots: regular };
+
+  const override = windows.date_overrides?.[date];
+  if (override && typeof override === 'object') {
+    out.reason = 'override';
+    out.name = override.note || null;
+    if (override.skip) return { ...out, action: 'skip', slots: [] };
+    if (Array.isArray(override.slots)) out.slots = override.slots;
+    if (override.prefer) out.action = 'prefer';
+    return out;
+  }
+
+  const closure = (Array.isArray(windows.closed_dates) ? windows.closed_dates : []).find(c => closureMatches(c, date));
+  if (closure) return { ...out, action: 'skip', reason: 'closed', name: closure?.note || null, slots: [] };
+
+  const holiday = holidayOn(windows.holiday_calendar, date);
+  if (holiday && windows.holiday_policy !== 'allow') {
+    const action = windows.holiday_policy === 'prefer' ? 'prefer' : 'skip';
+    return { ...out, action, reason: 'holiday', name: holiday.name, slots: action === 'skip' ? [] : regular };
+  }
+  return out;
+}
+
+// The day rules the planner applies over the next `days` local dates (admin visibility)
+export function describeCalendar({ windows, nowUtc = new Date(), days = 30, tz = windows?.tz || TZ }) {
+  const today = partsInTZ(tz, nowUtc);
+  const baseNoonUTC = new Date(`${today.Y}-${pad(today.M)}-${pad(today.D)}T12:00:00Z`).getTime();
+  const out = [];
+  for (let dOffset = 0; dOffset < days; dOffset++) {
+    const { Y, M, D } = partsInTZ(tz, new Date(baseNoonUTC + dOffset * 86400000));
+    out.push(dayRule(windows, Y, M, D));
+  }
+  return out;
+}
+
+// Every allowed slot after nowUtc within the horizon, outside quiet hours, sorted
+function candidateSlots({ windows, tz, nowUtc, horizonDays }) {
+  const out = [];
+  for (const rule of describeCalendar({ windows, nowUtc, days: horizonDays, tz })) {
+    if (rule.action === 'skip') continue;
+    const [Y, M, D] = rule.date.split('-').map(Number);
+    for (const t of rule.slots) {
+      const [hh, mm] = String(t).split(':').map(Number);
+      if (!Number.isFinite(hh)) continue;
+      const at = new Date(buildISO(tz, Y, M, D, hh, mm || 0, 0));
+      if (at <= nowUtc || withinQuiet(tz, at, windows.quiet_hours)) continue;
+      out.push({ at, day: rule.date, prefer: rule.action === 'prefer' });
+    }
+  }
+  return out.sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Plan `count` posting times for one client across a multi-day horizon.
+ * - `existing`: times already taken (scheduled or posted) — they count toward caps and gaps
+ * - respects max_per_day and min_gap_hours in both directions
+ * - skips closed days / skipped holidays; "prefer" days win over other days with the same load
+ * - spreads a backlog: each pick goes to the least-loaded day, earliest first
+ * - jitter comes from `seed`, so the same inputs always give the same plan
+ * @returns {(string|null)[]} ISO per requested item; null when nothing fits in the horizon
+ */
+export function planSlots({
+  windows,
+  count = 1,
+  nowUtc = new Date(),
+  existing = [],
+  horizonDays = 14,
+  seed = 0,
+  tz = windows?.tz || TZ
+}) {
+  const maxPerDay = Math.max(1, Number(windows.max_per_day ?? 1));
+  const minGapMs = (windows.min_gap_hours ?? 20) * 3600 * 1000;
+  const jitterMs = (windows.jitter_sec ?? 720) * 1000;
+  const rand = seededRandom(seed);
+
+  const taken = existing.map(x => new Date(x)).filter(d => Number.isFinite(d.getTime()));
+  const load = new Map();
+  for (const d of taken) load.set(dayKey(tz, d), (load.get(dayKey(tz, d)) || 0) + 1);
+
+  const candidates = candidateSlots({ windows, tz, nowUtc, horizonDays });
+  const out = [];
+
+  for (let i = 0; i < count; i++) {
+    const jitter = (rand() * 2 - 1) * jitterMs;
+    let best = null;
+    for (const c of candidates) {
+      if (c.used) continue;
+      const dayLoad = load.get(c.day) || 0;
+      if (dayLoad >= maxPerDay) continue;
+      const at = new Date(Math.max(c.at.getTime() + jitter, nowUtc.getTime()));
+      if (taken.some(t => Math.abs(t - at) < minGapMs)) continue;
+      // candidates are sorted → earliest wins remaining ties
+      if (!best || dayLoad < best.dayLoad || (dayLoad === best.dayLoad && c.prefer && !best.c.prefer)) {
+        best = { c, at, dayLoad };
+      }
+    }
+    if (!best) { out.push(null); continue; }
+
+    best.c.used = true;
+    taken.push(best.at);
+    load.set(best.c.day, best.dayLoad + 1);
+    out.push(best.at.toISOString());
+  }
+  return out;
+}
+
+// Next few free slots for a client, on the hour (no jitter) — used for "Pick a time" menus
+export function suggestSlots({ windows, count = 5, nowUtc = new Date(), existing = [], horizonDays = 7 }) {
+  return planSlots({ windows: { ...windows, jitter_sec: 0 }, count, nowUtc, existing, horizonDays })
+    .filter(Boolean);
+}
+
+// Human label in the client’s zone, e.g. "Tue 20 Oct, 09:00" / "okt. 20., K 09:00"
+export function formatSlot(at, tz = TZ, language = 'EN') {
+  const locale = String(language).toUpperCase().startsWith('HU') ? 'hu-HU' : 'en-GB';
+  return new Intl.DateTimeFormat(locale, {
+    timeZone: tz, weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', hour12: false
+  }).format(new Date(at));
+}
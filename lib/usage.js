@@ -0,0 +1,132 @@
+// /lib/usage.js  (ESM)
+// LLM usage metering: one generation_log row per model call, monthly spend per client, budget checks.
+// Prices are USD per 1M tokens (input, output), matched by model-name prefix; LLM_PRICES_JSON overrides,
+// e.g. {"gpt-4o-mini":[0.15,0.6]}. Unknown and local models cost 0 but their tokens are still counted.
+
+import { supabaseAdmin } from './supabase.js';
+
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4o': [2.5, 10],
+  'gpt-4.1-mini': [0.4, 1.6],
+  'gpt-4.1': [2, 8],
+  'claude-3-5-haiku': [0.8, 4],
+  'claude-3-5-sonnet': [3, 15],
+  'claude-sonnet-4': [3, 15]
+};
+
+const PRICES = (() => {
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(process.env.LLM_PRICES_JSON || '{}') };
+  } catch {
+    console.warn('[usage] LLM_PRICES_JSON is not valid JSON, using defaults');
+    return DEFAULT_PRICES;
+  }
+})();
+
+// Global default when the client has no llm_monthly_budget_usd; unset = unlimited
+const DEFAULT_BUDGET_USD = process.env.LLM_MONTHLY_BUDGET_USD ? Number(process.env.LLM_MONTHLY_BUDGET_USD) : null;
+
+export function estimateCostUsd(provider, model, promptTokens, completionTokens) {
+  if (provider === 'local' || provider === 'fake') return 0;
+  // Longest matching prefix wins, so 'gpt-4o-mini' isn't priced as 'gpt-4o'
+  const key = Object.keys(PRICES)
+    .filter(k => String(model || '').startsWith(k))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!key) return 0;
+  const [input, output] = PRICES[key];
+  return ((Number(promptTokens) || 0) * input + (Number(completionTokens) || 0) * output) / 1e6;
+}
+
+export function monthStartIso(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+}
+
+/**
+ * Insert one generation_log row per model call.
+ * @param {{ fromWa: string, clientId?: any, draftId?: number|null, purpose: string, calls: Array<{ provider, model, prompt_tokens, completion_tokens, latency_ms, attempts, step }> }} p
+ */
+export async function recordGeneration({ fromWa, clientId = null, draftId = null, purpose, calls = [] }) {
+  if (!supabaseAdmin || !calls.length) return;
+  const rows = calls.map(c => ({
+    from_wa: fromWa || null,
+    client_id: clientId,
+    draft_id: Number.isFinite(Number(draftId)) ? Number(draftId) : null,
+    purpose,
+    step: c.step || 'caption',
+    provider: c.provider,
+    model: c.model,
+    prompt_tokens: c.prompt_tokens ?? null,
+    completion_tokens: c.completion_tokens ?? null,
+    latency_ms: c.latency_ms ?? null,
+    attempts: c.attempts ?? 1,
+    cost_usd: estimateCostUsd(c.provider, c.model, c.prompt_tokens, c.completion_tokens)
+  }));
+  const { error } = await supabaseAdmin.from('generation_log').insert(rows);
+  if (error) console.error('[usage] generation_log insert failed:', error.message || error);
+}
+
+/**
+ * Totals over a set of generation_log rows.
+ * @returns {{ calls, prompt_tokens, completion_tokens, cost_usd, avg_latency_ms, by_model: object }}
+ */
+export function summarize(rows = []) {
+  const out = { calls: 0, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0, avg_latency_ms: null, by_model: {} };
+  let latencySum = 0;
+  let latencyCount = 0;
+  for (const r of rows) {
+    out.calls++;
+    out.prompt_tokens += Number(r.prompt_tokens) || 0;
+    out.completion_tokens += Number(r.completion_tokens) || 0;
+    out.cost_usd += Number(r.cost_usd) || 0;
+    if (r.latency_ms != null) { latencySum += Number(r.latency_ms); latencyCount++; }
+    const m = (out.by_model[r.model || 'unknown'] ||= { calls: 0, cost_usd: 0 });
+    m.calls++;
+    m.cost_usd += Number(r.cost_usd) || 0;
+  }
+  if (latencyCount) out.avg_latency_ms = Math.round(latencySum / latencyCount);
+  out.cost_usd = Math.round(out.cost_usd * 1e6) / 1e6;
+  return out;
+}
+
+// Page size for loadUsageRows; PostgREST caps a single response anyway (1000 rows by default)
+const USAGE_PAGE_ROWS = 1000;
+
+// Every row in the window, fetched page by page so a busy month isn't silently cut off
+export async function loadUsageRows({ sinceIso, untilIso = null, fromWa = null }) {
+  const rows = [];
+  for (let from = 0; ; from += USAGE_PAGE_ROWS) {
+    let q = supabaseAdmin
+      .from('generation_log')
+      .select('from_wa, client_id, draft_id, purpose, provider, model, prompt_tokens, completion_tokens, latency_ms, cost_usd, created_at')
+      .gte('created_at', sinceIso)
+      .order('id', { ascending: true })
+      .range(from, from + USAGE_PAGE_ROWS - 1);
+    if (untilIso) q = q.lt('created_at', untilIso);
+    if (fromWa) q = q.eq('from_wa', fromWa);
+    const { data, error } = await q;
+    if (error) throw new Error(`generation_log read failed: ${error.message}`);
+    rows.push(...(data || []));
+    if (!data || data.length < USAGE_PAGE_ROWS) return rows;
+  }
+}
+
+/**
+ * Month-to-date spend vs the client's budget (clientPrefs.monthly_budget_usd, else LLM_MONTHLY_BUDGET_USD).
+ * Lookup errors don't block generation.
+ * @returns {Promise<{ over: boolean, spent_usd: number, budget_usd: number|null }>}
+ */
+export async function checkBudget(fromWa, clientPrefs = {}, now = new Date()) {
+  const budget = clientPrefs.monthly_budget_usd ?? DEFAULT_BUDGET_USD;
+  if (budget == null || !supabaseAdmin || !fromWa) return { over: false, spent_usd: 0, budget_usd: budget ?? null };
+  try {
+    // Summed in SQL (generation_cost_since), however many calls the client made this month
+    const { data, error } = await supabaseAdmin.rpc('generation_cost_since', { p_from_wa: fromWa, p_since: monthStartIso(now) });
+    if (error) throw new Error(`generation cost sum failed: ${error.message}`);
+    const spent = Math.round((Number(data) || 0) * 1e6) / 1e6;
+    return { over: spent >= budget, spent_usd: spent, budget_usd: budget };
+  } catch (e) {
+    console.error('[usage] budget check failed:', e?.message || e);
+    return { over: false, spent_usd: 0, budget_usd: budget };
+  }
+}
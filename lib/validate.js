@@ -0,0 +1,79 @@
+// /lib/validate.js  (ESM)
+// Post-generation checks on a caption against the client's rules and the brief.
+// Exports: validateCaption({ caption, constraints={}, clientPrefs={}, seedText='' }) → [{ rule, detail }]
+//          describeFailures(failures) → prompt lines fed back to the model on regeneration
+//          extractPrices(text) → ['1490', ...] (amount digits only)
+
+import { checkFacts } from './facts.js';
+
+const norm = (s) => String(s || '').normalize('NFC');
+
+// Whole-word, case-insensitive; Unicode-aware boundaries so accented words match as words
+function containsWord(text, word) {
+  const w = norm(word).trim().toLocaleLowerCase();
+  if (!w) return false;
+  const escaped = w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u').test(norm(text).toLocaleLowerCase());
+}
+
+// "1490 Ft", "1 490 Ft", "1.490 Ft", "HUF 1490", "1490 forint" → '1490'
+const PRICE_RE = /(?:huf\s*(\d[\d\s.,]{0,8}\d|\d))|(?:(\d[\d\s.,]{0,8}\d|\d)\s*(?:ft|huf|forint)\b)/giu;
+
+export function extractPrices(text) {
+  const out = [];
+  for (const m of norm(text).matchAll(PRICE_RE)) {
+    const amount = String(m[1] || m[2] || '').replace(/[,.]\d{1,2}$/, '').replace(/\D/g, '');
+    if (amount) out.push(amount);
+  }
+  return [...new Set(out)];
+}
+
+export function validateCaption({ caption, constraints = {}, clientPrefs = {}, seedText = '' } = {}) {
+  const text = norm(caption);
+  const failures = [];
+
+  for (const word of clientPrefs.banned_words || []) {
+    if (containsWord(text, word)) failures.push({ rule: 'banned_word', detail: word });
+  }
+
+  for (const term of constraints.must_include || []) {
+    if (term && !text.includes(norm(term))) failures.push({ rule: 'must_include', detail: term });
+  }
+
+  // The brief's price must be there; any other amount is made up (prices quoted in the seed are fine)
+  const wanted = constraints.price ? extractPrices(constraints.price)[0] : null;
+  const found = extractPrices(text);
+  if (wanted && !found.includes(wanted)) failures.push({ rule: 'price_missing', detail: constraints.price });
+  const allowed = new Set([wanted, ...extractPrices(seedText)].filter(Boolean));
+  for (const amount of found) {
+    if (!allowed.has(amount)) failures.push({ rule: 'invented_price', detail: `${amount} Ft` });
+  }
+
+  // Validity, hours, discounts, links, emails, phones and handles from the brief (lib/facts.js)
+  failures.push(...checkFacts(text, constraints.facts, seedText));
+
+  const pool = (clientPrefs.cta_pool || []).filter(Boolean);
+  if (pool.length) {
+    const lower = text.toLocaleLowerCase();
+    if (!pool.some(cta => lower.includes(norm(cta).toLocaleLowerCase()))) {
+      failures.push({ rule: 'cta_missing', detail: pool.join(' | ') });
+    }
+  }
+
+  return failures;
+}
+
+export function describeFailures(failures = []) {
+  return failures.map(({ rule, detail }) => {
+    switch (rule) {
+      case 'banned_word': return `- Do not use the word "${detail}".`;
+      case 'must_include': return `- Include "${detail}" exactly as written.`;
+      case 'price_missing': return `- State the price exactly: ${detail}.`;
+      case 'invented_price': return `- Remove the price ${detail}; it was not given.`;
+      case 'fact_missing': return `- Keep this fact from the brief: ${detail}.`;
+      case 'invented_discount': return `- Remove the discount ${detail}; it was not given.`;
+      case 'cta_missing': return `- Use exactly one of these calls to action: ${detail}.`;
+      default: return `- Fix: ${rule} ${detail || ''}`.trim();
+    }
+  });
+}
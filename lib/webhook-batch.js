@@ -0,0 +1,75 @@
+// /lib/webhook-batch.js  (ESM)
+// One WhatsApp delivery can carry several messages (entries × changes × messages). Each is handled on its own,
+// once: events.processed_at marks a message that finished, so Meta's redelivery skips it. A message that
+// failed (throw or 5xx) stays unprocessed, and the batch answers 5xx so the redelivery retries it.
+// `supabase` is passed in (as in lib/clients.js).
+// Exports: splitMessages(body), alreadyProcessed(supabase, waMessageId), markProcessed(supabase, waMessageId, kind),
+//          processBatch(supabase, envelopes, handle) → { results, retry }
+
+// One envelope per inbound message, each shaped like a single-message delivery
+// so parseWaEvent / handleInboundMessage see exactly one message
+export function splitMessages(body) {
+  const out = [];
+  for (const entry of Array.isArray(body?.entry) ? body.entry : []) {
+    for (const change of Array.isArray(entry?.changes) ? entry.changes : []) {
+      const value = change?.value || {};
+      for (const msg of Array.isArray(value.messages) ? value.messages : []) {
+        out.push({ ...body, entry: [{ ...entry, changes: [{ ...change, value: { ...value, messages: [msg] } }] }] });
+      }
+    }
+  }
+  return out;
+}
+
+export async function alreadyProcessed(supabase, waMessageId) {
+  if (!supabase || !waMessageId) return false;
+  const { data, error } = await supabase
+    .from('events')
+    .select('processed_at')
+    .eq('wa_message_id', waMessageId)
+    .maybeSingle();
+  if (error) {
+    console.error('events processed check failed:', error.message || error);
+    return false;
+  }
+  return Boolean(data?.processed_at);
+}
+
+export async function markProcessed(supabase, waMessageId, kind) {
+  if (!supabase || !waMessageId) return;
+  const { error } = await supabase
+    .from('events')
+    .update({ processed_at: new Date().toISOString(), result_kind: kind || null })
+    .eq('wa_message_id', waMessageId);
+  if (error) console.error('events processed mark failed:', error.message || error);
+}
+
+/**
+ * Run `handle(envelope) → Response` for every envelope not processed before.
+ * @returns {Promise<{ results: object[], retry: boolean }>} retry: some message must be redelivered
+ */
+export async function processBatch(supabase, envelopes, handle) {
+  const results = [];
+  let retry = false;
+  for (const envelope of envelopes) {
+    const id = envelope.entry[0].changes[0].value.messages[0]?.id || null;
+    if (id && await alreadyProcessed(supabase, id)) {
+      results.push({ id, ok: true, kind: 'duplicate' });
+      continue;
+    }
+    try {
+      const res = await handle(envelope);
+      const out = await res.json().catch(() => ({}));
+      results.push({ id, status: res.status, ...out });
+      // 4xx answers are final (bad ids etc.); 5xx is retried like a throw
+      if (res.status < 500) await markProcessed(supabase, id, out.kind);
+      else retry = true;
+    } catch (e) {
+      // One bad message must not lose the rest of the batch
+      console.error('[webhook] message failed:', id, e?.message || e);
+      results.push({ id, ok: false, error: 'handler_failed' });
+      retry = true;
+    }
+  }
+  return { results, retry };
+}
@@ -0,0 +1,193 @@
+// /lib/when.js  (ESM)
+// Natural-language posting times in English and Hungarian, resolved in the client's timezone.
+//   "tomorrow at 9", "Friday 7pm", "holnap 18:00", "szombat reggel", "okt 24 10:30", "in 2 hours"
+// A time that has already passed ("ma 11:00" at noon, "okt 1" in November of the same year) is never returned:
+// resolveWhen reports it as past so callers can say so, parseWhen gives null.
+// Exports: parseWhen(text, { tz, nowUtc, defaultTime })  → Date | null
+//          resolveWhen(text, { tz, nowUtc, defaultTime }) → { at: Date | null, past: boolean }
+
+import { partsInTZ, buildISO } from './scheduling.js';
+
+// Parts of day → default hour (also flips 1–11 to pm for the evening ones)
+const DAYPARTS = [
+  { re: /\b(morning|reggel|reggelt)\b/, hour: 9 },
+  { re: /\b(delelott)\b/, hour: 10 },
+  { re: /\b(noon|midday|delben|del)\b/, hour: 12 },
+  { re: /\b(afternoon|delutan)\b/, hour: 15, pm: true },
+  { re: /\b(tonight|evening|este|ma este)\b/, hour: 19, pm: true },
+  { re: /\b(night|ejjel|ejszaka)\b/, hour: 21, pm: true }
+];
+
+// Weekday stems after accent stripping (0 = Sunday)
+const WEEKDAYS = [
+  { re: /\b(sun(day)?|vasarnap\w*)\b/, dow: 0 },
+  { re: /\b(mon(day)?|hetfo\w*)\b/, dow: 1 },
+  { re: /\b(tue(s|sday)?|kedd\w*)\b/, dow: 2 },
+  { re: /\b(wed(nesday)?|szerda\w*|szerdan)\b/, dow: 3 },
+  { re: /\b(thu(rs|rsday)?|csutortok\w*)\b/, dow: 4 },
+  { re: /\b(fri(day)?|pentek\w*)\b/, dow: 5 },
+  { re: /\b(sat(urday)?|szombat\w*)\b/, dow: 6 }
+];
+
+const MONTHS = [
+  /^jan/, /^feb/, /^(mar|marc)/, /^apr/, /^(may|maj)/, /^jun/,
+  /^jul/, /^aug/, /^(sep|szep)/, /^(oct|okt)/, /^nov/, /^dec/
+];
+
+function stripAccents(s) {
+  return String(s || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+function monthIndex(word) {
+  const i = MONTHS.findIndex(re => re.test(word));
+  return i >= 0 ? i + 1 : 0;
+}
+
+function addDays(Y, M, D, n) {
+  const d = new Date(Date.UTC(Y, M - 1, D + n));
+  return { Y: d.getUTCFullYear(), M: d.getUTCMonth() + 1, D: d.getUTCDate() };
+}
+
+function validDate(Y, M, D) {
+  const d = new Date(Date.UTC(Y, M - 1, D));
+  return d.getUTCFullYear() === Y && d.getUTCMonth() === M - 1 && d.getUTCDate() === D;
+}
+
+// Explicit calendar date → { Y, M, D, rest } (rest = text with the date removed)
+function matchDate(t, today) {
+  let m = t.match(/\b(\d{4})[-./](\d{1,2})[-./](\d{1,2})\.?/);         // 2026-10-24, 2026.10.24.
+  if (m) return { Y: +m[1], M: +m[2], D: +m[3], rest: t.replace(m[0], ' ') };
+
+  m = t.match(/\b(\d{1,2})\.\s?(\d{1,2})\.(?!\d)/);                    // 10.24. (HU month.day.)
+  if (m && +m[1] <= 12) return { Y: today.Y, M: +m[1], D: +m[2], rest: t.replace(m[0], ' '), rollYear: true };
+
+  m = t.match(/\b(\d{1,2})\/(\d{1,2})\b/);                             // 24/10 (day/month)
+  if (m) return { Y: today.Y, M: +m[2], D: +m[1], rest: t.replace(m[0], ' '), rollYear: true };
+
+  m = t.match(/\b([a-z]{3,})\.?\s+(\d{1,2})(?:\.|-?(?:en|an|on|th|st|nd|rd))?(?![:\d])/); // okt 24, Oct 24th
+  if (m && monthIndex(m[1])) return { Y: today.Y, M: monthIndex(m[1]), D: +m[2], rest: t.replace(m[0], ' '), rollYear: true };
+
+  m = t.match(/\b(\d{1,2})(?:\.|th|st|nd|rd)?\s+([a-z]{3,})\b/);        // 24 Oct
+  if (m && monthIndex(m[2])) return { Y: today.Y, M: monthIndex(m[2]), D: +m[1], rest: t.replace(m[0], ' '), rollYear: true };
+
+  return null;
+}
+
+// Clock time → { h, m } (or null); dayparts turn "este 7" into 19:00
+// A lone number only counts as an hour next to a day word ("hétfőn 10", "szombat 9")
+function matchTime(t, hasDay = false) {
+  const daypart = DAYPARTS.find(d => d.re.test(t));
+  let h = null;
+  let min = 0;
+  let ampm = null;
+
+  let m = t.match(/\b(\d{1,2})[:.](\d{2})\s*(am|pm)?\b/);              // 18:00, 18.00, 7:30pm
+  if (m) { h = +m[1]; min = +m[2]; ampm = m[3] || null; }
+
+  if (h === null) {
+    m = t.match(/\b(\d{1,2})\s*(am|pm)\b/);                            // 7pm
+    if (m) { h = +m[1]; ampm = m[2]; }
+  }
+  if (h === null) {
+    m = t.match(/\b(\d{1,2})\s*(?:-?kor|h|oras?kor|ora|o'?clock)\b/);  // 9-kor, 9h, 9 órakor
+    if (m) h = +m[1];
+  }
+  if (h === null) {
+    m = t.match(/\b(?:at|@|around|kb\.?)\s*(\d{1,2})\b/);              // at 9
+    if (m) h = +m[1];
+  }
+  if (h === null && (daypart || hasDay)) {
+    m = t.match(/\b(\d{1,2})\b/);                                       // este 7, hétfőn 10
+    if (m) h = +m[1];
+  }
+
+  if (h === null) return daypart ? { h: daypart.hour, m: 0 } : null;
+  if (ampm === 'pm' && h < 12) h += 12;
+  if (ampm === 'am' && h === 12) h = 0;
+  if (!ampm && daypart?.pm && h < 12) h += 12;
+  if (h > 23 || min > 59) return null;
+  return { h, m: min };
+}
+
+/**
+ * Parse a free-text posting time.
+ * @param {string} text
+ * @param {{ tz?: string, nowUtc?: Date, defaultTime?: string }} opts
+ *   defaultTime is used when only a day is given (e.g. "holnap" → "10:00")
+ * @returns {Date|null} null when no day or time could be recognised, or when it has already passed
+ */
+export function parseWhen(text, opts = {}) {
+  const { at, past } = resolveWhen(text, opts);
+  return past ? null : at;
+}
+
+/**
+ * Like parseWhen, but tells "already passed" apart from "not a time".
+ * @returns {{ at: Date|null, past: boolean }} at is null when past
+ */
+export function resolveWhen(text, { tz = 'Europe/Budapest', nowUtc = new Date(), defaultTime = '10:00' } = {}) {
+  const at = readWhen(text, { tz, nowUtc, defaultTime });
+  if (at && at.getTime() < nowUtc.getTime()) return { at: null, past: true };
+  return { at, past: false };
+}
+
+function readWhen(text, { tz, nowUtc, defaultTime }) {
+  let t = stripAccents(text).replace(/\s+/g, ' ').trim();
+  if (!t) return null;
+
+  if (/^(now|right now|asap|most|azonnal)\b/.test(t)) return new Date(nowUtc);
+
+  // Relative offsets: "in 2 hours", "30 perc mulva"
+  let m = t.match(/\bin\s+(\d{1,3})\s*(hours?|hrs?|h|minutes?|mins?)\b/) || t.match(/\b(\d{1,3})\s*(ora|perc)\s+mulva\b/);
+  if (m) {
+    const isHours = /^(h|ora)/.test(m[2]);
+    return new Date(nowUtc.getTime() + Number(m[1]) * (isHours ? 3600 : 60) * 1000);
+  }
+
+  const today = partsInTZ(tz, nowUtc);
+  let day = null;
+  let explicitWeekday = null;
+
+  const date = matchDate(t, today);
+  if (date) {
+    t = date.rest;
+    day = { Y: date.Y, M: date.M, D: date.D };
+    if (!validDate(day.Y, day.M, day.D)) return null;
+    // "10.24." in December means next year
+    if (date.rollYear && Date.UTC(day.Y, day.M - 1, day.D) < Date.UTC(today.Y, today.M - 1, today.D)) day.Y += 1;
+  } else if (/\b(day after tomorrow|holnaputan)\b/.test(t)) {
+    day = addDays(today.Y, today.M, today.D, 2);
+  } else if (/\b(tomorrow|tmrw|holnap\w*)\b/.test(t)) {
+    day = addDays(today.Y, today.M, today.D, 1);
+  } else if (/\b(today|tonight|ma|mai)\b/.test(t)) {
+    day = { Y: today.Y, M: today.M, D: today.D };
+  } else {
+    const wd = WEEKDAYS.find(w => w.re.test(t));
+    if (wd) {
+      const dowToday = new Date(Date.UTC(today.Y, today.M - 1, today.D)).getUTCDay();
+      let ahead = (wd.dow - dowToday + 7) % 7;
+      if (/\b(next|jovo)\b/.test(t) && ahead === 0) ahead = 7;
+      day = addDays(today.Y, today.M, today.D, ahead);
+      explicitWeekday = wd.dow;
+    }
+  }
+
+  const time = matchTime(t, !!day);
+  if (!day && !time) return null;
+
+  const [dh, dm] = String(defaultTime).split(':').map(Number);
+  const { h, m: min } = time || { h: dh || 0, m: dm || 0 };
+
+  if (!day) day = { Y: today.Y, M: today.M, D: today.D };
+  let at = new Date(buildISO(tz, day.Y, day.M, day.D, h, min, 0));
+
+  // Bare time already passed today → tomorrow; same-weekday already passed → next week
+  if (at <= nowUtc && !date) {
+    const bump = explicitWeekday !== null ? 7 : (time && !/\b(today|ma)\b/.test(t) ? 1 : 0);
+    if (bump) {
+      const next = addDays(day.Y, day.M, day.D, bump);
+      at = new Date(buildISO(tz, next.Y, next.M, next.D, h, min, 0));
+    }
+  }
+  return at;
+}
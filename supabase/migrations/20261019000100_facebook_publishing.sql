@@ -0,0 +1,12 @@
+-- Facebook Page publishing (api/cron-publisher.js)
+
+-- Per-client Page credentials
+alter table clients add column if not exists fb_page_id text;
+alter table clients add column if not exists fb_page_token text;
+
+-- Hashtags generated alongside caption_final (published after the caption)
+alter table draft_posts add column if not exists hashtags jsonb;
+
+-- posted_result holds structured output keyed by platform, e.g. {"facebook": {"post_id": ..., "permalink": ...}}
+alter table draft_posts alter column posted_result type jsonb
+  using case when posted_result is null then null else to_jsonb(posted_result) end;
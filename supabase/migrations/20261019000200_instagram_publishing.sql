@@ -0,0 +1,9 @@
+-- Instagram Business publishing (two-step container flow)
+
+-- IG business account connected to the client's Page; token falls back to fb_page_token
+alter table clients add column if not exists ig_user_id text;
+alter table clients add column if not exists ig_access_token text;
+
+-- draft_posts.posted_result carries one entry per platform:
+--   {"facebook": {"status": "published", ...}, "instagram": {"status": "container", "container_id": ...}}
+-- posted_at is only stamped once every connected platform reports "published".
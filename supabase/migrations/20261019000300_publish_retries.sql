@@ -0,0 +1,11 @@
+-- Retry / backoff / dead-letter for failed publishes
+
+alter table draft_posts add column if not exists publish_attempts integer not null default 0;
+alter table draft_posts add column if not exists next_attempt_at timestamptz;
+
+-- After PUBLISH_MAX_ATTEMPTS the draft moves to status = 'failed' (posted_error keeps the last error).
+-- If status is constrained by a CHECK, extend it with 'failed'.
+
+create index if not exists draft_posts_due_idx
+  on draft_posts (scheduled_at)
+  where status = 'approved' and queued_at is null and posted_at is null;
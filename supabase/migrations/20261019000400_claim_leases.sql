@@ -0,0 +1,35 @@
+-- Lease-based claiming for the publish queue (api/cron-runner.js action=claim / reclaim)
+
+alter table draft_posts add column if not exists lease_owner text;
+alter table draft_posts add column if not exists lease_expires_at timestamptz;
+
+-- Atomically claim due drafts: concurrent runners skip each other's rows.
+create or replace function claim_due_drafts(p_limit integer, p_worker text, p_lease_seconds integer default 300)
+returns setof draft_posts
+language sql
+as $$
+  with due as (
+    select id
+      from draft_posts
+     where status = 'approved'
+       and scheduled_at is not null
+       and scheduled_at <= now()
+       and queued_at is null
+       and posted_at is null
+       and (next_attempt_at is null or next_attempt_at <= now())
+     order by scheduled_at
+     limit greatest(p_limit, 1)
+     for update skip locked
+  )
+  update draft_posts d
+     set queued_at        = now(),
+         lease_owner      = p_worker,
+         lease_expires_at = now() + make_interval(secs => p_lease_seconds)
+    from due
+   where d.id = due.id
+  returning d.*;
+$$;
+
+create index if not exists draft_posts_lease_idx
+  on draft_posts (lease_expires_at)
+  where queued_at is not null and posted_at is null;
@@ -0,0 +1,9 @@
+-- Per-client scheduling windows and timezone (lib/scheduling.js loadWindows(fromWa))
+
+-- Same shape as settings.scheduling_windows; any key left out falls back to the global row:
+--   {"weekday": ["07:30"], "weekend": ["09:00"], "quiet_hours": ["21:00","06:30"],
+--    "max_per_day": 2, "min_gap_hours": 6}
+alter table clients add column if not exists scheduling_windows jsonb;
+
+-- IANA zone, e.g. 'Europe/Budapest'; invalid / empty → global tz → Europe/Budapest
+alter table clients add column if not exists timezone text;
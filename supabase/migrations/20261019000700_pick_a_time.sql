@@ -0,0 +1,4 @@
+-- "Pick a time" scheduling: the draft waiting for a typed / picked time
+-- (schedule_strategy = 'manual' once set)
+
+alter table draft_posts add column if not exists awaiting_time boolean not null default false;
@@ -0,0 +1,3 @@
+-- Per-client caption model (lib/llm.js). Null = LLM_PROVIDER / *_MODEL env defaults.
+alter table clients add column if not exists llm_provider text; -- 'openai' | 'anthropic' | 'local' | 'fake'
+alter table clients add column if not exists llm_model text;
@@ -0,0 +1,2 @@
+-- Rules the stored caption still breaks after regeneration (lib/validate.js); [] = clean.
+alter table draft_posts add column if not exists validation_failures jsonb not null default '[]'::jsonb;
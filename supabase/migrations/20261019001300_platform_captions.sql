@@ -0,0 +1,3 @@
+-- Caption per target platform: { "instagram": { "caption": "...", "hashtags": [...] }, "facebook": {...}, "gbp": {...} }
+-- caption_final / hashtags keep the primary (Instagram) version the client previews.
+alter table draft_posts add column if not exists captions_json jsonb;
@@ -0,0 +1,2 @@
+-- Accessibility description of the draft's photo, generated with the caption; sent as alt_text on Instagram.
+alter table draft_posts add column if not exists alt_text text;
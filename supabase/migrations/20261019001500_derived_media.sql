@@ -0,0 +1,3 @@
+-- Edit variants with image changes point media_path at a derived file (media bucket, derived/…);
+-- media_original_path keeps the untouched upload every later edit re-renders from.
+alter table draft_posts add column if not exists media_original_path text;
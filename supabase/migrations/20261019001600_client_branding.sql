@@ -0,0 +1,8 @@
+-- Per-client logo overlay (lib/media-process.js). logo_path is a file in the `media` bucket (PNG with transparency works best).
+alter table clients add column if not exists logo_path text;
+alter table clients add column if not exists logo_position text not null default 'bottom-right'; -- top-left | top-right | bottom-left | bottom-right | center
+alter table clients add column if not exists logo_opacity numeric not null default 0.85;          -- 0..1
+alter table clients add column if not exists logo_scale numeric not null default 0.18;            -- logo width / photo width
+
+-- Logo-stamped copy (branded/<id>.jpg) that was previewed and gets published; media_path stays unbranded.
+alter table draft_posts add column if not exists media_branded_path text;
@@ -0,0 +1,24 @@
+-- LLM usage metering (lib/usage.js): one row per model call, written by api/wa-webhook.js.
+
+create table if not exists generation_log (
+  id                bigserial primary key,
+  created_at        timestamptz not null default now(),
+  from_wa           text,
+  client_id         text,          -- clients.id as text; from_wa is the join key budgets use
+  draft_id          bigint references draft_posts (id) on delete set null,
+  purpose           text not null, -- 'preview' | 'dislike' | 'edit'
+  step              text not null default 'caption', -- 'caption' | 'photo' (vision description)
+  provider          text,
+  model             text,
+  prompt_tokens     integer,
+  completion_tokens integer,
+  latency_ms        integer,
+  attempts          integer not null default 1,
+  cost_usd          numeric(12, 6) not null default 0
+);
+
+create index if not exists generation_log_wa_month_idx on generation_log (from_wa, created_at);
+create index if not exists generation_log_draft_idx on generation_log (draft_id);
+
+-- Monthly LLM budget in USD; null = LLM_MONTHLY_BUDGET_USD env (unset = unlimited). Over budget → raw text captions.
+alter table clients add column if not exists llm_monthly_budget_usd numeric(10, 2);
@@ -0,0 +1,36 @@
+-- Versioned prompt templates (lib/prompts.js). No active row for a purpose = built-in default (version 0).
+--   purpose: 'caption' | 'edit' | 'dislike'; business_type null = any client
+--   rollout_pct: share of clients (stable per from_wa) that get this version; the rest fall back to older ones
+
+create table if not exists prompt_templates (
+  id            bigserial primary key,
+  created_at    timestamptz not null default now(),
+  purpose       text not null check (purpose in ('caption', 'edit', 'dislike')),
+  business_type text,
+  version       integer not null,
+  body          text not null,
+  rollout_pct   integer not null default 100 check (rollout_pct between 0 and 100),
+  active        boolean not null default true,
+  notes         text
+);
+
+create unique index if not exists prompt_templates_version_uidx
+  on prompt_templates (purpose, coalesce(business_type, ''), version);
+
+-- Which template produced the draft's caption: the purpose-specific one, plus all versions used
+alter table draft_posts add column if not exists prompt_template_id bigint references prompt_templates (id) on delete set null;
+alter table draft_posts add column if not exists prompt_versions jsonb; -- e.g. {"caption": 3, "edit": 1}
+
+-- Approval rate per template version, to compare rollouts
+create or replace view prompt_template_stats as
+select t.id            as template_id,
+       t.purpose,
+       t.business_type,
+       t.version,
+       t.rollout_pct,
+       count(d.id)                                   as drafts,
+       count(d.approved_at)                          as approved,
+       round(count(d.approved_at)::numeric / nullif(count(d.id), 0), 3) as approval_rate
+  from prompt_templates t
+  left join draft_posts d on d.prompt_template_id = t.id
+ group by t.id;
@@ -0,0 +1,5 @@
+-- Per-client hashtag library (lib/hashtags.js), reconciled with every generated caption:
+-- { "always": ["pestpekseg"], "pools": { "product": ["kovasz", "croissant"], "area": ["budapest"] },
+--   "pool_pick": 2, "banned": ["follow4follow"] }
+-- clients.hashtags_max caps the final set (always-include tags count towards it).
+alter table clients add column if not exists hashtag_library jsonb;
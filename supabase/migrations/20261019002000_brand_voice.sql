@@ -0,0 +1,8 @@
+-- Repeated edit instructions per client (lib/preferences.js):
+-- { "counts": { "length:short": 3, "emoji:off": 1 }, "suggested": { "length:short": "<iso time offered>" } }
+alter table clients add column if not exists edit_stats jsonb not null default '{}'::jsonb;
+
+-- Few-shot examples read the client's latest approved captions
+create index if not exists draft_posts_wa_approved_idx
+  on draft_posts (from_wa, approved_at desc)
+  where approved_at is not null;
@@ -0,0 +1,4 @@
+-- Intent of free-text replies to "Request edit" (lib/intent.js):
+-- caption_edit | image_edit | schedule | cancel | question, and whether rules or the model decided it
+alter table events add column if not exists intent text;
+alter table events add column if not exists intent_source text;
@@ -0,0 +1,14 @@
+-- Per-number conversation state (lib/conversations.js), replacing draft_posts.awaiting_edit / awaiting_time
+-- lookups. wa is the sender's number, digits only.
+create table if not exists conversations (
+  wa          text primary key,
+  state       text not null default 'idle'
+              check (state in ('idle', 'onboarding', 'reviewing', 'awaiting_edit', 'awaiting_time')),
+  draft_id    bigint references draft_posts (id) on delete set null,
+  expires_at  timestamptz,
+  updated_at  timestamptz not null default now()
+);
+
+-- The webhook no longer reads or writes these flags
+comment on column draft_posts.awaiting_edit is 'deprecated: see conversations.state';
+comment on column draft_posts.awaiting_time is 'deprecated: see conversations.state';
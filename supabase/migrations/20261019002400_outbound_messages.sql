@@ -0,0 +1,11 @@
+-- Preview / button messages we sent per draft (lib/outbound.js); a reply quoting one (context.id)
+-- edits that draft. to_wa is the recipient's number, digits only.
+create table if not exists outbound_messages (
+  wa_message_id  text primary key,
+  draft_id       bigint not null references draft_posts (id) on delete cascade,
+  to_wa          text not null,
+  kind           text not null check (kind in ('preview', 'buttons')),
+  created_at     timestamptz not null default now()
+);
+
+create index if not exists outbound_messages_draft_idx on outbound_messages (draft_id);
@@ -0,0 +1,4 @@
+-- Each message of a webhook batch is handled on its own; processed_at marks the ones that finished,
+-- so a redelivered batch only retries what didn't. result_kind is the handler outcome (e.g. edit_variant_created).
+alter table events add column if not exists processed_at timestamptz;
+alter table events add column if not exists result_kind text;
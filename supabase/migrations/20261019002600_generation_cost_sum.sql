@@ -0,0 +1,12 @@
+-- Month-to-date LLM spend summed in the database (lib/usage.js checkBudget), so the budget check
+-- never depends on how many generation_log rows a client has.
+create or replace function generation_cost_since(p_from_wa text, p_since timestamptz)
+returns numeric
+language sql
+stable
+as $$
+  select coalesce(sum(cost_usd), 0)
+    from generation_log
+   where from_wa = p_from_wa
+     and created_at >= p_since;
+$$;
@@ -0,0 +1,26 @@
+// /test/admin-calendar.test.js — api/admin-calendar.js `days` validation (default windows, no Supabase)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.ADMIN_API_TOKEN = 'test-token';
+const { GET } = await import('../api/admin-calendar.js');
+
+const get = async (query) => {
+  const res = await GET(new Request(`https://pestpost.test/api/admin-calendar?token=test-token${query}`));
+  return { status: res.status, body: await res.json() };
+};
+
+test('days defaults to 30 and is clamped to 1–366', async () => {
+  assert.equal((await get('')).body.days, 30);
+  assert.equal((await get('&days=7')).body.calendar.length, 7);
+  assert.equal((await get('&days=0')).body.days, 1);
+  assert.equal((await get('&days=5000')).body.days, 366);
+});
+
+test('a days value that is not a number is a 400, not NaN', async () => {
+  for (const days of ['abc', '-3', '7.5']) {
+    const { status, body } = await get(`&days=${days}`);
+    assert.equal(status, 400, days);
+    assert.equal(body.error, 'bad_days');
+  }
+});
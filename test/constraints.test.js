@@ -0,0 +1,56 @@
+// /test/constraints.test.js — lib/constraints.js caption knobs and image hints
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseConstraints } from '../lib/constraints.js';
+
+const image = (text, opts) => parseConstraints(text, opts).image;
+
+test('image hints: short replies that are only a hint', () => {
+  assert.deepEqual(image('make it square'), { aspect: '1:1' });
+  assert.deepEqual(image('change it to square'), { aspect: '1:1' });
+  assert.deepEqual(image('négyzetes'), { aspect: '1:1' });
+  assert.deepEqual(image('portrait'), { aspect: '4:5' });
+  assert.deepEqual(image('sztorira'), { aspect: '9:16' });
+  assert.deepEqual(image('brighter'), { brightness: 'brighter' });
+  assert.deepEqual(image('a bit darker please'), { brightness: 'darker' });
+  assert.deepEqual(image('legyen világosabb'), { brightness: 'brighter' });
+  assert.deepEqual(image('kicsit sötétebb'), { brightness: 'darker' });
+  assert.deepEqual(image('add contrast'), { contrast: 'more' });
+  assert.deepEqual(image('add some contrast'), { contrast: 'more' });
+  assert.deepEqual(image('kontrasztosabb'), { contrast: 'more' });
+});
+
+test('image hints: clauses that name the photo', () => {
+  assert.deepEqual(image('make the photo square'), { aspect: '1:1' });
+  assert.deepEqual(image('story format'), { aspect: '9:16' });
+  assert.deepEqual(image('fix the lighting'), { brightness: 'auto' });
+  assert.deepEqual(image('crop tighter'), { crop: 'tighter' });
+  assert.deepEqual(image('shorter text, and a brighter photo'), { brightness: 'brighter' });
+  assert.deepEqual(image('világosabb kép'), { brightness: 'brighter' });
+});
+
+test('image hints: caption wording and negations stay caption requests', () => {
+  assert.deepEqual(image('tell the story of our family bakery'), {});
+  assert.deepEqual(image('we are on the main square'), {});
+  assert.deepEqual(image('lighter on sugar'), {});
+  assert.deepEqual(image('a bit lighter tone please'), {});
+  assert.deepEqual(image('do not make it brighter'), {});
+  assert.deepEqual(image('ne legyen sötétebb a kép'), {});
+});
+
+test('image hints: any clause counts once the reply is known to be an image edit', () => {
+  assert.deepEqual(image('lighter, it looks gloomy', { imageEdit: true }), { brightness: 'brighter' });
+  assert.deepEqual(image('do not make it brighter', { imageEdit: true }), {});
+});
+
+test('caption knobs and logo', () => {
+  const c = parseConstraints('Shorter, in English, no emoji, mention the 1 490 Ft price #kenyér');
+  assert.equal(c.length, 'short');
+  assert.equal(c.language, 'EN');
+  assert.equal(c.emoji, 'off');
+  assert.equal(c.price, '1490 Ft');
+  assert.deepEqual(c.hashtags, ['kenyér']);
+  assert.deepEqual(c.must_include, ['the 1 490 Ft price #kenyér']);
+  assert.equal(image('no logo').logo, 'off');
+  assert.equal(image('legyen rajta logó').logo, 'on');
+});
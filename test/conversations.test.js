@@ -0,0 +1,27 @@
+// /test/conversations.test.js — lib/conversations.js number keys and state expiry
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeWa, conversationFromRow, getConversation, setConversation } from '../lib/conversations.js';
+
+const NOW = Date.parse('2026-11-09T10:00:00Z');
+const IDLE = { wa: '36301234567', state: 'idle', draft_id: null, expires_at: null };
+
+test('normalizeWa: the same client however the number is written', () => {
+  assert.equal(normalizeWa('+36 30 123 4567'), '36301234567');
+  assert.equal(normalizeWa('36301234567'), '36301234567');
+  assert.equal(normalizeWa(null), '');
+});
+
+test('conversationFromRow: a live state is kept, an expired one reads as idle', () => {
+  const row = { wa: '36301234567', state: 'awaiting_edit', draft_id: '42', expires_at: '2026-11-09T10:30:00Z' };
+  assert.deepEqual(conversationFromRow('36301234567', row, NOW), { ...row, draft_id: 42 });
+  assert.deepEqual(conversationFromRow('36301234567', { ...row, expires_at: '2026-11-09T09:59:59Z' }, NOW), IDLE);
+  assert.deepEqual(conversationFromRow('36301234567', { ...row, expires_at: '2026-11-09T10:00:00Z' }, NOW), IDLE, 'expires exactly at expires_at');
+  assert.deepEqual(conversationFromRow('36301234567', null, NOW), IDLE);
+  assert.deepEqual(conversationFromRow('36301234567', { ...row, state: 'idle', draft_id: null, expires_at: null }, NOW), IDLE);
+});
+
+test('without a database every number is idle; unknown states are rejected', async () => {
+  assert.deepEqual(await getConversation('+36 30 123 4567'), IDLE);
+  await assert.rejects(setConversation('36301234567', 'waiting'), /unknown conversation state/);
+});
@@ -0,0 +1,76 @@
+// /test/facts.test.js — lib/facts.js grammar, English and Hungarian
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFacts, checkFacts, mergeFacts, factLines } from '../lib/facts.js';
+
+test('validity: Hungarian -ig forms', () => {
+  assert.deepEqual(parseFacts('Csak péntekig!').valid_until, { raw: 'péntekig', dow: 5 });
+  assert.deepEqual(parseFacts('Az akció okt. 31-ig tart').valid_until, { raw: 'okt. 31-ig', month: 10, day: 31 });
+  assert.deepEqual(parseFacts('10.31-ig érvényes').valid_until, { raw: '10.31-ig', month: 10, day: 31 });
+  assert.equal(parseFacts('Csak holnapig').valid_until.relative, 'tomorrow');
+  assert.equal(parseFacts('hétvégéig minden pogácsa').valid_until.relative, 'weekend');
+});
+
+test('validity: English until / till / through', () => {
+  assert.equal(parseFacts('valid until Sunday').valid_until.dow, 0);
+  assert.deepEqual(parseFacts('till Oct 31').valid_until, { raw: 'till Oct 31', month: 10, day: 31 });
+  assert.deepEqual(parseFacts('through the 3rd of November').valid_until, { raw: 'through the 3rd of November', month: 11, day: 3 });
+  assert.equal(parseFacts('until the end of the month').valid_until.relative, 'month_end');
+  assert.equal(parseFacts('fresh bread every morning').valid_until, null);
+});
+
+test('hours: marked ranges in both languages', () => {
+  assert.deepEqual(parseFacts('open 8-14').hours, { raw: '8-14', from: '8:00', to: '14:00' });
+  assert.deepEqual(parseFacts('7:30-18:00').hours, { raw: '7:30-18:00', from: '7:30', to: '18:00' });
+  assert.deepEqual(parseFacts('8–14h').hours, { raw: '8–14h', from: '8:00', to: '14:00' });
+  assert.deepEqual(parseFacts('Nyitva 8-tól 14-ig').hours, { raw: '8-tól 14-ig', from: '8:00', to: '14:00' });
+  assert.deepEqual(parseFacts('Mon-Fri 7-19').hours, { raw: '7-19', from: '7:00', to: '19:00' });
+  assert.deepEqual(parseFacts('hétköznap 7-19, szombat 8-12').hours, { raw: '7-19', from: '7:00', to: '19:00' });
+});
+
+test('hours: unmarked number ranges are not hours', () => {
+  assert.equal(parseFacts('we sell 10-12 kinds of bread').hours, null);
+  assert.equal(parseFacts('Mon-Fri 20-30% off').hours, null);
+  assert.equal(parseFacts('call +36 30 123 4567').hours, null);
+});
+
+test('discounts', () => {
+  assert.deepEqual(parseFacts('-20% on everything').discounts, ['20%']);
+  assert.deepEqual(parseFacts('15% off croissants').discounts, ['15%']);
+  assert.deepEqual(parseFacts('20%-os kedvezmény minden kenyérre').discounts, ['20%']);
+  assert.deepEqual(parseFacts('100% butter').discounts, []);
+});
+
+test('links, emails, phones and handles', () => {
+  const f = parseFacts('Order at www.pestpekseg.hu/rendeles, email us at info@bakery.hu, call 06-1/234-5678 or +36 30 123 4567. Follow @pestpekseg!');
+  assert.deepEqual(f.urls, ['www.pestpekseg.hu/rendeles']);
+  assert.deepEqual(f.emails, ['info@bakery.hu']);
+  assert.deepEqual(f.phones, ['06-1/234-5678', '+36 30 123 4567']);
+  assert.deepEqual(f.handles, ['@pestpekseg']);
+  assert.deepEqual(parseFacts('írj nekünk: rendeles@pekseg.hu').emails, ['rendeles@pekseg.hu']);
+  assert.deepEqual(parseFacts('https://example.com/menu.').urls, ['https://example.com/menu']);
+});
+
+test('checkFacts: kept facts pass, translated words allowed', () => {
+  const facts = parseFacts('-20% péntekig, nyitva 8-tól 14-ig, info@bakery.hu, +36 30 123 4567');
+  const caption = '20% off until Friday! Open 8–14. Questions: info@bakery.hu or 06 30 123 4567';
+  assert.deepEqual(checkFacts(caption, facts), []);
+});
+
+test('checkFacts: dropped facts and invented discounts', () => {
+  const facts = parseFacts('email us at info@bakery.hu, open 7-19 daily, www.pekseg.hu');
+  const rules = checkFacts('Fresh bread, now 30% off!', facts).map(f => `${f.rule}:${f.detail}`);
+  assert.ok(rules.includes('fact_missing:opening hours 7:00–19:00'));
+  assert.ok(rules.includes('fact_missing:link www.pekseg.hu'));
+  assert.ok(rules.includes('fact_missing:email info@bakery.hu'));
+  assert.ok(rules.includes('invented_discount:30%'));
+  // a percentage from the owner's own text is not invented
+  assert.deepEqual(checkFacts('100% butter', parseFacts(''), 'made with 100% butter'), []);
+});
+
+test('mergeFacts keeps earlier facts unless restated; factLines lists them', () => {
+  const merged = mergeFacts(parseFacts('-20% until Sunday'), parseFacts('make it -30%'));
+  assert.deepEqual(merged.discounts, ['30%']);
+  assert.equal(merged.valid_until.dow, 0);
+  assert.deepEqual(factLines(parseFacts('info@bakery.hu')), ['Email (exactly): info@bakery.hu']);
+});
@@ -0,0 +1,55 @@
+// /test/fb-publish.test.js — lib/fb-publish.js post text and Page publishing through a stubbed Graph API
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { composeMessage, publishToFacebookPage } from '../lib/fb-publish.js';
+
+// Answers each fetch with the next body (status 200 unless the body has an error); records the requests
+function graphStub(t, bodies) {
+  const calls = [];
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    calls.push({ url: new URL(url), method: init.method, body: init.body ? Object.fromEntries(init.body) : null });
+    const body = bodies.shift() || {};
+    return new Response(JSON.stringify(body), { status: body.error ? 400 : 200 });
+  });
+  return calls;
+}
+
+test('composeMessage: platform variant first, hashtags appended once', () => {
+  const draft = {
+    caption_final: 'Friss kifli reggel 7-től #pékség',
+    hashtags: ['pékség', '#kifli'],
+    captions_json: { facebook: { caption: 'Friss kifli a Facebookon', hashtags: ['budapest'] } }
+  };
+  assert.equal(composeMessage(draft), 'Friss kifli reggel 7-től #pékség\n\n#kifli');
+  assert.equal(composeMessage(draft, 'facebook'), 'Friss kifli a Facebookon\n\n#budapest');
+  assert.equal(composeMessage(draft, 'instagram'), 'Friss kifli reggel 7-től #pékség\n\n#kifli');
+  assert.equal(composeMessage({ text_body: 'raw text' }), 'raw text');
+});
+
+test('publishToFacebookPage: a photo goes to /photos and returns the post id and permalink', async (t) => {
+  const calls = graphStub(t, [{ id: 'photo1', post_id: 'page_post1' }, { permalink_url: 'https://facebook.com/p/1' }]);
+  const res = await publishToFacebookPage({ pageId: '123', token: 'tok', message: 'Hello', imageUrl: 'https://cdn.test/a.jpg' });
+  assert.deepEqual(res, { id: 'photo1', post_id: 'page_post1', permalink: 'https://facebook.com/p/1' });
+  assert.equal(calls[0].method, 'POST');
+  assert.match(calls[0].url.pathname, /\/123\/photos$/);
+  assert.deepEqual(calls[0].body, { url: 'https://cdn.test/a.jpg', caption: 'Hello', published: 'true' });
+  assert.match(calls[1].url.pathname, /\/page_post1$/);
+});
+
+test('publishToFacebookPage: text goes to /feed; a failed permalink lookup does not fail the post', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const calls = graphStub(t, [{ id: 'page_post2' }, { error: { message: 'nope' } }]);
+  const res = await publishToFacebookPage({ pageId: '123', token: 'tok', message: 'Hello' });
+  assert.deepEqual(res, { id: 'page_post2', post_id: 'page_post2', permalink: null });
+  assert.match(calls[0].url.pathname, /\/123\/feed$/);
+  assert.deepEqual(calls[0].body, { message: 'Hello' });
+});
+
+test('publishToFacebookPage: Graph errors and a missing page id throw', async (t) => {
+  graphStub(t, [{ error: { message: 'Invalid OAuth access token', code: 190 } }]);
+  await assert.rejects(
+    publishToFacebookPage({ pageId: '123', token: 'tok', message: 'Hello' }),
+    (e) => e.status === 400 && e.graph?.code === 190
+  );
+  await assert.rejects(publishToFacebookPage({ token: 'tok', message: 'Hello' }), /missing page id/);
+});
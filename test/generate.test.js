@@ -0,0 +1,105 @@
+// /test/generate.test.js — lib/generate.js caption language, photos and alt text, style examples, and every model call reported even when generation fails
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateCaptionAndTags, parseLanguages } from '../lib/generate.js';
+import { supportsVision } from '../lib/llm.js';
+import { parseConstraints } from '../lib/constraints.js';
+
+const answer = (caption) => new Response(JSON.stringify({
+  model: 'llama-test',
+  choices: [{ message: { content: JSON.stringify({ caption_final: caption, hashtags: ['#kenyer'] }) } }],
+  usage: { prompt_tokens: 40, completion_tokens: 10 }
+}), { status: 200 });
+
+const SEED = 'Friss kenyér -20% vasárnapig';
+const args = { seedText: SEED, constraints: parseConstraints(SEED), clientPrefs: { llm_provider: 'local' } };
+
+test('generateCaptionAndTags: usage lists the regenerations', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const answers = [answer('Friss kenyér!'), answer('Friss kenyér -20% vasárnapig!')];
+  t.mock.method(globalThis, 'fetch', async () => answers.shift());
+  const gen = await generateCaptionAndTags(args);
+  assert.deepEqual(gen.validation_failures, []);
+  assert.equal(gen.usage.length, 2);
+  assert.ok(gen.usage.every(u => u.step === 'caption' && u.provider === 'local' && u.prompt_tokens === 40));
+});
+
+test('generateCaptionAndTags: a failed regeneration still reports the calls made before it', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const answers = [answer('Friss kenyér!'), new Response('{}', { status: 400 })];
+  t.mock.method(globalThis, 'fetch', async () => answers.shift());
+  await assert.rejects(generateCaptionAndTags(args), (e) => {
+    assert.equal(e.status, 400);
+    assert.equal(e.usage.length, 1);
+    assert.equal(e.usage[0].completion_tokens, 10);
+    return true;
+  });
+});
+
+test('parseLanguages: single and bilingual preferences', () => {
+  assert.deepEqual(parseLanguages('hu'), ['HU']);
+  assert.deepEqual(parseLanguages('HU+EN'), ['HU', 'EN']);
+  assert.deepEqual(parseLanguages('hu, en'), ['HU', 'EN']);
+  assert.deepEqual(parseLanguages('HU/HU'), ['HU']);
+  assert.deepEqual(parseLanguages(null), ['EN']);
+});
+
+test('generateCaptionAndTags: the client language reaches the prompt; "in english" overrides it', async (t) => {
+  const prompts = [];
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    prompts.push(JSON.parse(init.body).messages.map(m => typeof m.content === 'string' ? m.content : '').join('\n'));
+    return answer('Friss kenyér -20% vasárnapig!');
+  });
+  await generateCaptionAndTags({ ...args, clientPrefs: { llm_provider: 'local', language: 'HU' } });
+  assert.match(prompts[0], /write the caption in Hungarian/);
+
+  const seed = 'Friss kenyér -20% vasárnapig, in english';
+  await generateCaptionAndTags({ seedText: seed, constraints: parseConstraints(seed), clientPrefs: { llm_provider: 'local', language: 'HU' } });
+  assert.match(prompts[1], /write the caption in English/);
+});
+
+test('generateCaptionAndTags: bilingual captions get twice the room', async (t) => {
+  const hu = 'Friss kenyér -20% vasárnapig! ' + 'Ropogós héj, puha bél. '.repeat(12);
+  const long = `${hu}\n\n${'Fresh bread, 20% off until Sunday! Crispy crust. '.repeat(6)}`;
+  assert.ok(long.length > 500 && long.length <= 1000);
+  t.mock.method(globalThis, 'fetch', async () => answer(long));
+  const bilingual = await generateCaptionAndTags({ ...args, clientPrefs: { llm_provider: 'local', language: 'HU+EN' } });
+  assert.equal(bilingual.captions.instagram.caption, long.trim());
+});
+
+test('generateCaptionAndTags: a vision model sees the photo and writes the alt text', async () => {
+  assert.equal(supportsVision('fake'), true);
+  const gen = await generateCaptionAndTags({ ...args, clientPrefs: { llm_provider: 'fake' }, imageUrl: 'https://cdn.test/kenyer.jpg' });
+  assert.equal(gen.alt_text, `Photo: ${SEED}`);
+  assert.equal(gen.usage[0].step, 'caption', 'no separate photo description call');
+});
+
+test('generateCaptionAndTags: a text-only model gets no image and no alt text is kept', async (t) => {
+  assert.equal(supportsVision('local'), process.env.LOCAL_LLM_VISION === '1');
+  if (supportsVision('local')) return;
+  const bodies = [];
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    bodies.push(JSON.parse(init.body));
+    return new Response(JSON.stringify({
+      model: 'llama-test',
+      choices: [{ message: { content: JSON.stringify({ caption_final: 'Friss kenyér -20% vasárnapig!', hashtags: [], alt_text: 'made up' }) } }]
+    }), { status: 200 });
+  });
+  const gen = await generateCaptionAndTags({ ...args, imageUrl: 'https://cdn.test/kenyer.jpg' });
+  assert.equal(typeof bodies[0].messages.at(-1).content, 'string');
+  assert.equal(gen.alt_text, null);
+});
+
+test('generateCaptionAndTags: approved captions are offered as style examples, at most three', async (t) => {
+  let prompt = '';
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    prompt = JSON.parse(init.body).messages.map(m => m.content).join('\n');
+    return answer('Friss kenyér -20% vasárnapig!');
+  });
+  const examples = ['Reggel 7-től  friss\nkifli 🥐', '', 'Hétvégén kovász', 'Új: pogácsa', 'Negyedik'];
+  await generateCaptionAndTags({ ...args, examples });
+  assert.match(prompt, /Captions this client approved before/);
+  assert.match(prompt, /^1\) Reggel 7-től friss kifli 🥐$/m);
+  assert.match(prompt, /^3\) Új: pogácsa$/m);
+  assert.doesNotMatch(prompt, /Negyedik/);
+});
@@ -0,0 +1,44 @@
+// /test/hashtags.test.js — lib/hashtags.js library parsing and hashtag reconciliation
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeTag, parseLibrary, reconcileHashtags } from '../lib/hashtags.js';
+
+const LIBRARY = {
+  always: ['pestpekseg'],
+  pools: { product: ['kovasz', 'croissant', 'kifli'], area: ['budapest', 'ujlipotvaros'] },
+  pool_pick: 1,
+  banned: ['follow4follow']
+};
+
+test('normalizeTag and parseLibrary', () => {
+  assert.equal(normalizeTag(' ##Kávé! '), 'Kávé');
+  assert.equal(normalizeTag('Kávé'), 'Kávé');
+  assert.equal(normalizeTag('!!'), '');
+  assert.deepEqual(parseLibrary('{"always":"a, #b","pools":{"x":[],"y":["c"]}}'), { always: ['a', 'b'], pools: { y: ['c'] }, pool_pick: 2, banned: [] });
+  assert.deepEqual(parseLibrary('not json'), { always: [], pools: {}, pool_pick: 2, banned: [] });
+});
+
+test('reconcileHashtags: always tags, then pool picks, then the model\'s own, capped', () => {
+  const tags = reconcileHashtags({ generated: ['#friss', '#reggeli', '#kenyer'], library: LIBRARY, max: 5 });
+  assert.deepEqual(tags, ['#pestpekseg', '#kovasz', '#budapest', '#friss', '#reggeli']);
+  assert.deepEqual(reconcileHashtags({ generated: ['#friss'], library: LIBRARY, max: 0 }), []);
+  assert.equal(reconcileHashtags({ generated: ['a', 'b', 'c', 'd', 'e', 'f', 'g'], max: 'junk' }).length, 6);
+});
+
+test('reconcileHashtags: banned and duplicate tags are dropped case-insensitively, accents kept', () => {
+  const tags = reconcileHashtags({
+    generated: ['#Follow4Follow', '#PestPekseg', '#kávé', '#Kávé', '#KÁVÉ'],
+    library: { ...LIBRARY, pools: {} },
+    max: 10
+  });
+  assert.deepEqual(tags, ['#pestpekseg', '#kávé']);
+});
+
+test('reconcileHashtags: pool tags rotate away from the latest posts', () => {
+  const recent = [['#kovasz', '#budapest'], ['#croissant']]; // newest first
+  const tags = reconcileHashtags({ generated: [], library: LIBRARY, max: 10, recent });
+  assert.deepEqual(tags, ['#pestpekseg', '#kifli', '#ujlipotvaros']);
+
+  const older = reconcileHashtags({ generated: [], library: LIBRARY, max: 10, recent: [['#kifli'], ['#kovasz', '#croissant']] });
+  assert.deepEqual(older, ['#pestpekseg', '#kovasz', '#budapest'], 'ties keep library order; last post\'s tag waits its turn');
+});
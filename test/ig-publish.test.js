@@ -0,0 +1,18 @@
+// /test/ig-publish.test.js — lib/ig-publish.js container status through a stubbed Graph API
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getIgContainerStatus } from '../lib/ig-publish.js';
+
+const graph = (body) => async () => new Response(JSON.stringify(body), { status: 200 });
+
+test('getIgContainerStatus: returns Graph status_code and status', async (t) => {
+  t.mock.method(globalThis, 'fetch', graph({ id: 'c1', status_code: 'IN_PROGRESS', status: 'Processing' }));
+  assert.deepEqual(await getIgContainerStatus({ containerId: 'c1', token: 't' }), { status_code: 'IN_PROGRESS', status: 'Processing' });
+  t.mock.method(globalThis, 'fetch', graph({ id: 'c1', status_code: 'FINISHED' }));
+  assert.deepEqual(await getIgContainerStatus({ containerId: 'c1', token: 't' }), { status_code: 'FINISHED', status: null });
+});
+
+test('getIgContainerStatus: a response without status_code is an error, not IN_PROGRESS', async (t) => {
+  t.mock.method(globalThis, 'fetch', graph({ id: 'c1' }));
+  await assert.rejects(getIgContainerStatus({ containerId: 'c1', token: 't' }), /status missing/);
+});
@@ -0,0 +1,42 @@
+// /test/intent.test.js — lib/intent.js rules, and the edit phrases the bot suggests
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyByRules, IMAGE_EDIT_EXAMPLES, EDIT_EXAMPLES } from '../lib/intent.js';
+import { parseConstraints } from '../lib/constraints.js';
+
+const NOW = new Date('2026-11-09T09:00:00Z'); // Monday 10:00 in Budapest
+const rules = (text) => classifyByRules(text, { nowUtc: NOW });
+
+test('every suggested photo change classifies as image_edit and parses to a render hint', () => {
+  for (const phrase of IMAGE_EDIT_EXAMPLES) {
+    assert.equal(rules(phrase)?.intent, 'image_edit', phrase);
+    assert.notDeepEqual(parseConstraints(phrase, { imageEdit: true }).image, {}, phrase);
+  }
+});
+
+test('every example in the "Request edit" prompt is understood', () => {
+  for (const phrase of EDIT_EXAMPLES) {
+    const r = rules(phrase);
+    assert.ok(['image_edit', 'caption_edit'].includes(r?.intent), phrase);
+    if (r.intent === 'image_edit') assert.notDeepEqual(parseConstraints(phrase, { imageEdit: true }).image, {}, phrase);
+  }
+  assert.equal(rules('shorter text').intent, 'caption_edit');
+  assert.equal(rules('mention opening hours').intent, 'caption_edit');
+});
+
+test('cancel, schedule and question', () => {
+  assert.equal(rules('never mind').intent, 'cancel');
+  assert.equal(rules('mégse').intent, 'cancel');
+  const s = rules('post it tomorrow at 9');
+  assert.equal(s.intent, 'schedule');
+  assert.equal(s.at.toISOString(), '2026-11-10T08:00:00.000Z');
+  assert.equal(rules('post it now').at.getTime(), NOW.getTime());
+  assert.equal(rules('when will it go live?').intent, 'question');
+});
+
+test('unclear replies are left to the model', () => {
+  assert.equal(rules('tell the story of our family bakery'), null);
+  assert.equal(rules('say we are on the main square'), null);
+  assert.equal(rules('is it ok to add a discount?'), null);
+  assert.equal(rules('the post should say we open at 8'), null);
+});
@@ -0,0 +1,75 @@
+// /test/llm.test.js — lib/llm.js complete(): retries, timeouts and the offline fake provider
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { complete } from '../lib/llm.js';
+
+const ok = (content) => new Response(JSON.stringify({
+  model: 'llama-test',
+  choices: [{ message: { content } }],
+  usage: { prompt_tokens: 12, completion_tokens: 3 }
+}), { status: 200, headers: { 'content-type': 'application/json' } });
+
+const fail = (status) => new Response(JSON.stringify({ error: 'nope' }), { status });
+
+// Never answers; rejects like fetch does when the AbortSignal times out.
+// AbortSignal.timeout's timer is unref'd, so hold the event loop open until it fires.
+const hang = (url, { signal }) => new Promise((_, reject) => {
+  const alive = setTimeout(() => {}, 10000);
+  signal.addEventListener('abort', () => { clearTimeout(alive); reject(signal.reason); }, { once: true });
+});
+
+test('complete: OpenAI-compatible answer with usage, provider and attempts', async (t) => {
+  const fetch = t.mock.method(globalThis, 'fetch', async () => ok('Friss kifli!'));
+  const res = await complete({ provider: 'local', prompt: 'hi', json: true });
+  assert.equal(res.text, 'Friss kifli!');
+  assert.deepEqual(res.usage, { prompt_tokens: 12, completion_tokens: 3 });
+  assert.equal(res.provider, 'local');
+  assert.equal(res.attempts, 1);
+  const [url, init] = fetch.mock.calls[0].arguments;
+  assert.match(url, /\/chat\/completions$/);
+  assert.deepEqual(JSON.parse(init.body).response_format, { type: 'json_object' });
+});
+
+test('complete: retries a 429 and a 5xx, then succeeds', async (t) => {
+  const answers = [fail(429), fail(503), ok('third time')];
+  const fetch = t.mock.method(globalThis, 'fetch', async () => answers.shift());
+  t.mock.method(console, 'warn', () => {});
+  const res = await complete({ provider: 'local', prompt: 'hi', retries: 2 });
+  assert.equal(res.text, 'third time');
+  assert.equal(res.attempts, 3);
+  assert.equal(fetch.mock.callCount(), 3);
+});
+
+test('complete: gives up after the retry budget with the last status', async (t) => {
+  t.mock.method(globalThis, 'fetch', async () => fail(500));
+  t.mock.method(console, 'warn', () => {});
+  await assert.rejects(complete({ provider: 'local', prompt: 'hi', retries: 1 }), (e) => e.status === 500);
+});
+
+test('complete: 4xx other than 429 is not retried', async (t) => {
+  const fetch = t.mock.method(globalThis, 'fetch', async () => fail(400));
+  await assert.rejects(complete({ provider: 'local', prompt: 'hi', retries: 2 }), (e) => e.status === 400);
+  assert.equal(fetch.mock.callCount(), 1);
+});
+
+test('complete: a hung request times out, and the timeout is retried', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(globalThis, 'fetch', hang);
+  await assert.rejects(complete({ provider: 'local', prompt: 'hi', timeoutMs: 20, retries: 0 }), { name: 'TimeoutError' });
+
+  const answers = [hang, async () => ok('after timeout')];
+  t.mock.method(globalThis, 'fetch', (...args) => answers.shift()(...args));
+  const res = await complete({ provider: 'local', prompt: 'hi', timeoutMs: 20, retries: 1 });
+  assert.equal(res.text, 'after timeout');
+  assert.equal(res.attempts, 2);
+});
+
+test('complete: fake provider is offline and deterministic', async (t) => {
+  const fetch = t.mock.method(globalThis, 'fetch', async () => { throw new Error('no network in fake'); });
+  const prompt = 'Write a caption.\nSeed: Fresh croissants until Sunday';
+  const a = await complete({ provider: 'fake', prompt, json: true });
+  const b = await complete({ provider: 'fake', prompt, json: true });
+  assert.deepEqual({ ...a, latency_ms: 0 }, { ...b, latency_ms: 0 });
+  assert.equal(JSON.parse(a.text).caption_final, 'Fresh croissants until Sunday');
+  assert.equal(fetch.mock.callCount(), 0);
+});
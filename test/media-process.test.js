@@ -0,0 +1,58 @@
+// /test/media-process.test.js — lib/media-process.js rendering on generated images (no storage)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { renderImage, overlayLogo, logoApplies } from '../lib/media-process.js';
+
+const solid = (width, height, rgb, channels = 3) =>
+  sharp({ create: { width, height, channels, background: channels === 4 ? { ...rgb, alpha: 1 } : rgb } }).png().toBuffer();
+
+const GREY = { r: 100, g: 100, b: 100 };
+const WHITE = { r: 255, g: 255, b: 255 };
+
+test('renderImage: aspect presets resize to the Instagram sizes', async () => {
+  const photo = await solid(1600, 1200, GREY);
+  for (const [aspect, width, height] of [['1:1', 1080, 1080], ['4:5', 1080, 1350], ['9:16', 1080, 1920]]) {
+    const out = await renderImage(photo, { aspect });
+    assert.equal(out.mime, 'image/jpeg');
+    assert.deepEqual([out.width, out.height], [width, height], aspect);
+    const meta = await sharp(out.buffer).metadata();
+    assert.deepEqual([meta.format, meta.width, meta.height], ['jpeg', width, height], aspect);
+  }
+});
+
+test('renderImage: tighter crop keeps the aspect ratio; no aspect caps the long side', async () => {
+  const tight = await renderImage(await solid(1000, 500, GREY), { crop: 'tighter' });
+  assert.deepEqual([tight.width, tight.height], [800, 400]);
+  const big = await renderImage(await solid(4000, 3000, GREY), { brightness: 'brighter', contrast: 'more' });
+  assert.deepEqual([big.width, big.height], [2048, 1536]);
+});
+
+test('overlayLogo: keeps the photo size and honours opacity, including 0', async () => {
+  const photo = await solid(400, 300, GREY);
+  const logo = await solid(100, 100, WHITE, 4);
+  // The logo's centre at bottom-right: 18% of 400 = 72px wide, 3% margin = 12px
+  const pixel = async (buf) => (await sharp(buf).extract({ left: 400 - 12 - 36, top: 300 - 12 - 36, width: 1, height: 1 }).raw().toBuffer())[0];
+
+  const stamped = await overlayLogo(photo, logo);
+  const meta = await sharp(stamped).metadata();
+  assert.deepEqual([meta.format, meta.width, meta.height], ['jpeg', 400, 300]);
+  assert.ok(await pixel(stamped) > 220);
+
+  const faint = await overlayLogo(photo, logo, { opacity: 0 });
+  assert.ok(await pixel(faint) < 120, 'opacity 0 is the faintest mark, not the 0.85 default');
+  const unset = await overlayLogo(photo, logo, { opacity: null, scale: null });
+  assert.ok(await pixel(unset) > 220);
+});
+
+test('logoApplies: needs an image, a logo on file, and no "no logo"', () => {
+  const branding = { logo_path: 'logos/1.png' };
+  const draft = { media_path: 'in/1.jpg', media_mime: 'image/jpeg', text_body: 'Friss kifli' };
+  assert.equal(logoApplies(draft, branding), true);
+  assert.equal(logoApplies(draft, null), false);
+  assert.equal(logoApplies({ ...draft, media_path: null }, branding), false);
+  assert.equal(logoApplies({ ...draft, media_mime: 'video/mp4' }, branding), false);
+  assert.equal(logoApplies({ ...draft, text_body: 'Friss kifli, no logo' }, branding), false);
+  assert.equal(logoApplies({ ...draft, constraints_json: { image: { logo: 'off' } } }, branding), false);
+  assert.equal(logoApplies({ ...draft, text_body: 'no logo', constraints_json: { image: { logo: 'on' } } }, branding), true);
+});
@@ -0,0 +1,45 @@
+// /test/outbound.test.js — lib/outbound.js preview ids and swipe-reply targeting against a stub Supabase client
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { recordOutboundMessages, draftIdForContext } from '../lib/outbound.js';
+
+// Every chain resolves to `result`; calls are recorded as [name, ...args]
+function fakeSupabase(result = { data: null, error: null }) {
+  const calls = [];
+  const chain = new Proxy({}, {
+    get(_, name) {
+      if (name === 'then') return (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+      return (...args) => { calls.push([name, ...args]); return chain; };
+    }
+  });
+  return { calls, from: (table) => { calls.push(['from', table]); return chain; } };
+}
+
+test('recordOutboundMessages: one row per sent id, number normalised', async () => {
+  const db = fakeSupabase();
+  await recordOutboundMessages(db, '+36 30 123 4567', '42', { preview: 'wamid.P', buttons: 'wamid.B' });
+  const [, rows, opts] = db.calls.find(c => c[0] === 'upsert');
+  assert.deepEqual(rows, [
+    { wa_message_id: 'wamid.P', draft_id: 42, to_wa: '36301234567', kind: 'preview' },
+    { wa_message_id: 'wamid.B', draft_id: 42, to_wa: '36301234567', kind: 'buttons' }
+  ]);
+  assert.equal(opts.onConflict, 'wa_message_id');
+});
+
+test('recordOutboundMessages: nothing to write without ids or a draft', async () => {
+  const db = fakeSupabase();
+  await recordOutboundMessages(db, '36301234567', 42, { preview: null });
+  await recordOutboundMessages(db, '36301234567', 'abc', { preview: 'wamid.P' });
+  assert.deepEqual(db.calls, []);
+});
+
+test('draftIdForContext: only a preview sent to the same number is a target', async (t) => {
+  const sent = { data: { draft_id: '42', to_wa: '36301234567' }, error: null };
+  assert.equal(await draftIdForContext(fakeSupabase(sent), 'wamid.P', '+36 30 123 4567'), 42);
+  assert.equal(await draftIdForContext(fakeSupabase(sent), 'wamid.P', '36209999999'), null, 'another client quoting it');
+  assert.equal(await draftIdForContext(fakeSupabase(), 'wamid.X', '36301234567'), null);
+  assert.equal(await draftIdForContext(fakeSupabase(sent), null, '36301234567'), null);
+
+  t.mock.method(console, 'error', () => {});
+  assert.equal(await draftIdForContext(fakeSupabase({ data: null, error: { message: 'down' } }), 'wamid.P', '36301234567'), null);
+});
@@ -0,0 +1,38 @@
+// /test/platforms.test.js — lib/platforms.js per-platform caption fitting
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPlatformCaptions, PLATFORMS, PLATFORM_RULES } from '../lib/platforms.js';
+
+const TAGS = ['#kifli', '#pekseg', '#budapest', '#reggeli', '#friss'];
+
+test('buildPlatformCaptions: every platform by default, hashtags capped per platform', () => {
+  const out = buildPlatformCaptions({ caption: 'Friss kifli reggel 7-től!', hashtags: TAGS });
+  assert.deepEqual(Object.keys(out), PLATFORMS);
+  assert.deepEqual(out.instagram, { caption: 'Friss kifli reggel 7-től!', hashtags: TAGS });
+  assert.deepEqual(out.facebook.hashtags, TAGS.slice(0, 3));
+  assert.deepEqual(out.gbp.hashtags, []);
+});
+
+test('buildPlatformCaptions: no-hashtag platforms also lose inline tags', () => {
+  const out = buildPlatformCaptions({ caption: 'Friss #kifli reggel 7-től! #pékség', hashtags: TAGS, platforms: ['gbp', 'instagram'] });
+  assert.equal(out.gbp.caption, 'Friss reggel 7-től!');
+  assert.equal(out.instagram.caption, 'Friss #kifli reggel 7-től! #pékség');
+  assert.deepEqual(Object.keys(out), ['gbp', 'instagram']);
+});
+
+test('buildPlatformCaptions: long captions are cut at a word, leaving room for the hashtag line', () => {
+  const caption = 'Ropogós kifli és friss kenyér minden reggel. '.repeat(60).trim();
+  const out = buildPlatformCaptions({ caption, hashtags: TAGS });
+  for (const platform of PLATFORMS) {
+    const { caption: text, hashtags } = out[platform];
+    const line = hashtags.length ? hashtags.join(' ').length + 2 : 0;
+    assert.ok(text.length + line <= PLATFORM_RULES[platform].maxChars, platform);
+  }
+  assert.ok(out.gbp.caption.endsWith('…'));
+  assert.ok(!/\s…$/.test(out.gbp.caption), 'no dangling space before the ellipsis');
+  assert.equal(out.facebook.caption, caption, 'fits within the Facebook limit untouched');
+});
+
+test('buildPlatformCaptions: unknown platforms are skipped', () => {
+  assert.deepEqual(buildPlatformCaptions({ caption: 'Hi', platforms: ['tiktok'] }), {});
+});
@@ -0,0 +1,53 @@
+// /test/preferences.test.js — lib/preferences.js edit signals and suggested defaults
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { editSignals, preferenceUpdate, describeSignal, recordEditSignals } from '../lib/preferences.js';
+
+// clients.update(...).eq(...) stub; remembers what was written
+function fakeSupabase(error = null) {
+  const writes = [];
+  return {
+    writes,
+    from: (table) => ({
+      update: (values) => ({ eq: async (col, id) => { writes.push({ table, values, col, id }); return { error }; } })
+    })
+  };
+}
+
+const client = (over = {}) => ({ id: 5, length: 'long', tone: 'casual', emoji_on: true, language: 'HU', edit_stats: null, ...over });
+
+test('editSignals, preferenceUpdate and describeSignal', () => {
+  assert.deepEqual(editSignals({ length: 'short', emoji: 'off', language: 'HU+EN', hashtags: ['x'] }), ['length:short', 'emoji:off', 'language:HU+EN']);
+  assert.deepEqual(editSignals(), []);
+  assert.deepEqual(preferenceUpdate('emoji:off'), { emoji_on: false });
+  assert.deepEqual(preferenceUpdate('language:HU+EN'), { language: 'HU+EN' });
+  assert.equal(preferenceUpdate('tone:angry'), null);
+  assert.equal(preferenceUpdate('nonsense'), null);
+  assert.equal(describeSignal('length:short'), 'shorter captions');
+  assert.equal(describeSignal('language:EN'), 'captions in EN');
+});
+
+test('recordEditSignals: counts each edit and suggests a knob once it repeats', async () => {
+  const db = fakeSupabase();
+  const stats = { counts: { 'length:short': 1 } };
+  assert.deepEqual(await recordEditSignals(db, client({ edit_stats: stats }), { length: 'short' }), []);
+  assert.deepEqual(db.writes[0].values.edit_stats.counts, { 'length:short': 2 });
+  assert.equal(db.writes[0].id, 5);
+
+  const suggest = await recordEditSignals(db, client({ edit_stats: { counts: { 'length:short': 2 } } }), { length: 'short', emoji: 'off' });
+  assert.deepEqual(suggest, ['length:short'], 'at most one suggestion per edit');
+  assert.ok(db.writes[1].values.edit_stats.suggested['length:short']);
+});
+
+test('recordEditSignals: no suggestion for the saved default, twice, or after a failed write', async (t) => {
+  const often = { counts: { 'language:HU': 5, 'length:short': 5 } };
+  assert.deepEqual(await recordEditSignals(fakeSupabase(), client({ edit_stats: often }), { language: 'HU' }), []);
+
+  const offered = { counts: often.counts, suggested: { 'length:short': '2026-10-01T10:00:00Z' } };
+  assert.deepEqual(await recordEditSignals(fakeSupabase(), client({ edit_stats: offered }), { length: 'short' }), []);
+
+  t.mock.method(console, 'error', () => {});
+  assert.deepEqual(await recordEditSignals(fakeSupabase({ message: 'down' }), client({ edit_stats: often }), { length: 'short' }), []);
+  assert.deepEqual(await recordEditSignals(null, client(), { length: 'short' }), []);
+  assert.deepEqual(await recordEditSignals(fakeSupabase(), client(), {}), []);
+});
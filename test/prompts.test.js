@@ -0,0 +1,46 @@
+// /test/prompts.test.js — lib/prompts.js template selection, rollout and rendering
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pickTemplate, selectTemplate, renderTemplate, builtinTemplate, PURPOSES } from '../lib/prompts.js';
+
+const row = (over) => ({ id: 1, purpose: 'caption', business_type: null, version: 1, body: 'v1', rollout_pct: 100, ...over });
+const clients = Array.from({ length: 200 }, (_, i) => `3630${String(i).padStart(7, '0')}`);
+
+test('pickTemplate: newest version, business type before generic, built-in last', () => {
+  const rows = [
+    row({ id: 1, version: 1, body: 'generic v1' }),
+    row({ id: 2, version: 3, body: 'generic v3' }),
+    row({ id: 3, version: 2, body: 'bakery v2', business_type: 'Bakery' }),
+    row({ id: 4, version: 9, body: 'edit v9', purpose: 'edit' })
+  ];
+  assert.equal(pickTemplate(rows, { purpose: 'caption', clientKey: 'a' }).body, 'generic v3');
+  assert.equal(pickTemplate(rows, { purpose: 'caption', businessType: ' bakery ', clientKey: 'a' }).body, 'bakery v2');
+  assert.equal(pickTemplate(rows, { purpose: 'caption', businessType: 'florist', clientKey: 'a' }).body, 'generic v3');
+  assert.deepEqual(pickTemplate(rows, { purpose: 'dislike' }), builtinTemplate('dislike'));
+  assert.deepEqual(pickTemplate(null, { purpose: 'caption' }), builtinTemplate('caption'));
+});
+
+test('pickTemplate: a partial rollout reaches roughly its share, the same clients every time', () => {
+  const rows = [row({ id: 1, version: 1, body: 'old' }), row({ id: 2, version: 2, body: 'new', rollout_pct: 25 })];
+  const picks = clients.map(clientKey => pickTemplate(rows, { purpose: 'caption', clientKey }).body);
+  const share = picks.filter(b => b === 'new').length / clients.length;
+  assert.ok(share > 0.1 && share < 0.4, `share ${share}`);
+  assert.ok(picks.every(b => b === 'new' || b === 'old'), 'everyone else gets the older version');
+  assert.deepEqual(clients.map(clientKey => pickTemplate(rows, { purpose: 'caption', clientKey }).body), picks);
+
+  const off = [row({ id: 2, rollout_pct: 0 })];
+  assert.ok(clients.every(clientKey => pickTemplate(off, { purpose: 'caption', clientKey }).version === 0));
+});
+
+test('selectTemplate: built-in templates without a database; unknown purposes throw', async () => {
+  assert.deepEqual(PURPOSES, ['caption', 'edit', 'dislike']);
+  assert.deepEqual(await selectTemplate({ purpose: 'edit', clientKey: 'a' }), builtinTemplate('edit'));
+  await assert.rejects(selectTemplate({ purpose: 'nope' }), /unknown prompt purpose/);
+});
+
+test('renderTemplate: placeholders, unknown ones empty, blank edges trimmed', () => {
+  assert.equal(renderTemplate(builtinTemplate('edit'), { previous: 'Friss kifli', request: 'shorter' }), 'Friss kifli\n\nEdit request: shorter');
+  assert.equal(renderTemplate('{{ previous }} for {{business_type}}{{nope}}', { previous: 'Copy' }), 'Copy for');
+  assert.equal(renderTemplate('{{previous}}\n\nRewrite.', {}), 'Rewrite.');
+  assert.equal(renderTemplate(null), '');
+});
@@ -0,0 +1,53 @@
+// /test/publish-retry.test.js — lib/publish-retry.js backoff and dead-letter policy (default env)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PUBLISH_MAX_ATTEMPTS, backoffSeconds, publishOutcome } from '../lib/publish-retry.js';
+
+const NOW = new Date('2026-11-09T10:00:00Z');
+const result = { facebook: { status: 'error', error: 'Graph 500' } };
+
+test('backoffSeconds: doubles from 5 minutes and caps at 6 hours', () => {
+  assert.deepEqual([1, 2, 3, 4].map(backoffSeconds), [300, 600, 1200, 2400]);
+  assert.equal(backoffSeconds(0), 300);
+  assert.equal(backoffSeconds(20), 6 * 3600);
+});
+
+test('publishOutcome: a failed attempt is retried later and releases the claim', () => {
+  const { outcome, attempts, updates } = publishOutcome({ publish_attempts: 1 }, { result, done: false, errors: ['Graph 500'] }, NOW);
+  assert.equal(outcome, 'retry');
+  assert.equal(attempts, 2);
+  assert.equal(updates.publish_attempts, 2);
+  assert.equal(updates.next_attempt_at, '2026-11-09T10:10:00.000Z');
+  assert.equal(updates.queued_at, null);
+  assert.equal(updates.lease_owner, null);
+  assert.equal(updates.lease_expires_at, null);
+  assert.equal(updates.posted_error, 'Graph 500');
+  assert.equal(updates.status, undefined);
+});
+
+test('publishOutcome: the last allowed attempt dead-letters the draft', () => {
+  const { outcome, attempts, updates } = publishOutcome(
+    { publish_attempts: PUBLISH_MAX_ATTEMPTS - 1 },
+    { result, done: false, errors: ['Graph 500', 'instagram: token expired'] },
+    NOW
+  );
+  assert.equal(outcome, 'failed');
+  assert.equal(attempts, PUBLISH_MAX_ATTEMPTS);
+  assert.equal(updates.status, 'failed');
+  assert.equal(updates.next_attempt_at, null);
+  assert.equal(updates.posted_error, 'Graph 500 | instagram: token expired');
+  assert.ok(!('queued_at' in updates), 'a dead-lettered row is not handed back to the runner');
+});
+
+test('publishOutcome: posted, and pending without errors', () => {
+  const posted = publishOutcome({ publish_attempts: 2 }, { result: {}, done: true, errors: [] }, NOW);
+  assert.equal(posted.outcome, 'posted');
+  assert.equal(posted.updates.posted_at, NOW.toISOString());
+  assert.equal(posted.updates.posted_error, null);
+  assert.ok(!('publish_attempts' in posted.updates));
+
+  const pending = publishOutcome({}, { result: {}, done: false, errors: [] }, NOW);
+  assert.equal(pending.outcome, 'pending');
+  assert.equal(pending.updates.queued_at, null);
+  assert.ok(!('publish_attempts' in pending.updates), 'an IG container still processing is not a failed attempt');
+});
@@ -0,0 +1,98 @@
+// /test/queue.test.js — lib/queue.js commands against a stub Supabase client
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQueueCommand, buildQueueText, applyQueueCommand } from '../lib/queue.js';
+
+// Each query resolves to the next canned { data, error }; the chain it was built with is recorded
+function fakeSupabase(results) {
+  const queries = [];
+  return {
+    queries,
+    from(table) {
+      const q = { table, calls: [] };
+      queries.push(q);
+      const result = results.shift() || { data: null, error: null };
+      const chain = new Proxy({}, {
+        get(_, name) {
+          if (name === 'then') return (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+          return (...args) => { q.calls.push([name, ...args]); return chain; };
+        }
+      });
+      return chain;
+    }
+  };
+}
+
+const WA = '36301234567';
+const approved = { id: 7, status: 'approved', posted_at: null, queued_at: null };
+
+test('parseQueueCommand: English and Hungarian commands', () => {
+  assert.deepEqual(parseQueueCommand('queue'), { cmd: 'list' });
+  assert.deepEqual(parseQueueCommand('/sor'), { cmd: 'list' });
+  assert.deepEqual(parseQueueCommand('cancel #12'), { cmd: 'cancel', id: 12 });
+  assert.deepEqual(parseQueueCommand('töröl 12'), { cmd: 'cancel', id: 12 });
+  assert.deepEqual(parseQueueCommand('move 12 tomorrow 9:00'), { cmd: 'move', id: 12, when: 'tomorrow 9:00' });
+  assert.deepEqual(parseQueueCommand('áthelyez 12 holnap 18:00'), { cmd: 'move', id: 12, when: 'holnap 18:00' });
+  assert.deepEqual(parseQueueCommand('post 12 now'), { cmd: 'postnow', id: 12 });
+  assert.deepEqual(parseQueueCommand('posztold 12 most'), { cmd: 'postnow', id: 12 });
+  assert.equal(parseQueueCommand('cancel'), null);
+  assert.equal(parseQueueCommand('post it tomorrow'), null);
+});
+
+test('applyQueueCommand: cancel updates only an unclaimed row and confirms', async () => {
+  const db = fakeSupabase([{ data: approved }, { data: [{ id: 7 }] }]);
+  assert.equal(await applyQueueCommand(db, { cmd: 'cancel', id: 7 }, WA, {}), 'Canceled #7. 🗑️');
+  const update = db.queries[1].calls;
+  assert.deepEqual(update[0], ['update', { status: 'canceled' }]);
+  assert.ok(update.some(c => c[0] === 'is' && c[1] === 'queued_at'));
+  assert.ok(update.some(c => c[0] === 'select'));
+});
+
+test('applyQueueCommand: a row the publisher claimed meanwhile is reported, not confirmed', async () => {
+  const db = fakeSupabase([{ data: approved }, { data: [] }]);
+  const reply = await applyQueueCommand(db, { cmd: 'postnow', id: 7 }, WA, {});
+  assert.equal(reply, '#7 is already being published — it can’t be changed now.');
+});
+
+test('applyQueueCommand: posted, publishing, unapproved and missing drafts', async () => {
+  const ask = (row, command = { cmd: 'postnow', id: 7 }) => applyQueueCommand(fakeSupabase([{ data: row }]), command, WA, {});
+  assert.match(await ask({ ...approved, posted_at: '2026-11-01T10:00:00Z' }), /already posted/);
+  assert.match(await ask({ ...approved, queued_at: '2026-11-01T10:00:00Z' }), /being published right now/);
+  assert.match(await ask({ ...approved, status: 'draft' }), /isn’t approved yet/);
+  assert.match(await ask(null), /can’t find post #7/);
+  assert.match(await ask(approved, { cmd: 'move', id: 7, when: 'whenever' }), /couldn’t read that time/);
+  assert.match(await ask(approved, { cmd: 'move', id: 7, when: '2020.01.01. 9:00' }), /already passed/);
+});
+
+test('applyQueueCommand: move schedules manually', async () => {
+  const db = fakeSupabase([{ data: approved }, { data: [{ id: 7 }] }]);
+  const reply = await applyQueueCommand(db, { cmd: 'move', id: 7, when: 'tomorrow 9:00' }, WA, {});
+  assert.match(reply, /^Moved #7 to /);
+  const [, updates] = db.queries[1].calls[0];
+  assert.equal(updates.schedule_strategy, 'manual');
+  assert.ok(Date.parse(updates.scheduled_at) > Date.now());
+});
+
+test('applyQueueCommand: read and write errors give an error reply', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const readFail = fakeSupabase([{ data: null, error: { message: 'down' } }]);
+  assert.match(await applyQueueCommand(readFail, { cmd: 'cancel', id: 7 }, WA, {}), /went wrong/);
+  const writeFail = fakeSupabase([{ data: approved }, { data: null, error: { message: 'down' } }]);
+  assert.match(await applyQueueCommand(writeFail, { cmd: 'cancel', id: 7 }, WA, {}), /went wrong/);
+});
+
+test('buildQueueText: lists states; a failed read is an error, not an empty queue', async (t) => {
+  const db = fakeSupabase([
+    { data: [{ id: 7, status: 'failed', caption_final: 'Friss kifli' }, { id: 8, status: 'approved', schedule_strategy: 'ai' }] },
+    { data: [] }
+  ]);
+  const text = await buildQueueText(db, WA, {});
+  assert.match(text, /#7 • failed ⚠️ — “Friss kifli”/);
+  assert.match(text, /#8 • AI will pick a time/);
+
+  t.mock.method(console, 'error', () => {});
+  const down = fakeSupabase([{ data: null, error: { message: 'down' } }, { data: null, error: null }]);
+  const reply = await buildQueueText(down, WA, {});
+  assert.doesNotMatch(reply, /Nothing queued/);
+  assert.match(reply, /couldn’t load your queue/);
+});
@@ -0,0 +1,109 @@
+// /test/scheduling.test.js — lib/scheduling.js per-client windows and the multi-day planner (planSlots is pure and seeded)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planSlots, seededRandom, partsInTZ, resolveClientWindows } from '../lib/scheduling.js';
+
+const TZ = 'Europe/Budapest';
+const NOW = new Date('2026-11-09T05:00:00Z'); // Monday 06:00 in Budapest (CET, +01:00)
+const HOUR = 3600 * 1000;
+
+const windows = (over = {}) => ({
+  weekday: ['09:00', '13:00', '18:00'],
+  weekend: ['10:00'],
+  min_gap_hours: 0,
+  max_per_day: 1,
+  quiet_hours: [],
+  jitter_sec: 0,
+  tz: TZ,
+  holiday_calendar: 'none',
+  holiday_policy: 'skip',
+  closed_dates: [],
+  date_overrides: {},
+  ...over
+});
+
+const day = (iso) => {
+  const { Y, M, D } = partsInTZ(TZ, new Date(iso));
+  return `${Y}-${String(M).padStart(2, '0')}-${String(D).padStart(2, '0')}`;
+};
+const perDay = (isos) => isos.filter(Boolean).reduce((m, x) => m.set(day(x), (m.get(day(x)) || 0) + 1), new Map());
+
+test('seededRandom: same seed, same sequence; values in [0, 1)', () => {
+  const a = seededRandom('client-42');
+  const b = seededRandom('client-42');
+  const c = seededRandom('client-43');
+  const seqA = Array.from({ length: 5 }, a);
+  assert.deepEqual(seqA, Array.from({ length: 5 }, b));
+  assert.notDeepEqual(seqA, Array.from({ length: 5 }, c));
+  assert.ok(seqA.every(x => x >= 0 && x < 1));
+});
+
+test('planSlots: same seed gives the same jittered plan, another seed differs', () => {
+  const args = { windows: windows({ jitter_sec: 720 }), count: 4, nowUtc: NOW };
+  const one = planSlots({ ...args, seed: 'abc' });
+  assert.deepEqual(one, planSlots({ ...args, seed: 'abc' }));
+  assert.notDeepEqual(one, planSlots({ ...args, seed: 'xyz' }));
+  // jitter stays within ±jitter_sec of a window
+  const base = planSlots({ ...args, windows: windows(), seed: 'abc' });
+  one.forEach((at, i) => assert.ok(Math.abs(Date.parse(at) - Date.parse(base[i])) <= 720 * 1000));
+});
+
+test('planSlots: max_per_day caps each day, existing posts included', () => {
+  const existing = ['2026-11-09T08:00:00Z']; // Monday 09:00 already taken
+  const plan = planSlots({ windows: windows({ max_per_day: 2 }), count: 5, nowUtc: NOW, existing, horizonDays: 3 });
+  const load = perDay([...existing, ...plan]);
+  assert.ok([...load.values()].every(n => n <= 2), JSON.stringify([...load]));
+  assert.equal(plan.filter(Boolean).length, 5); // Mon 1 + Tue 2 + Wed 2
+});
+
+test('planSlots: min_gap_hours keeps every pick away from taken times', () => {
+  const existing = ['2026-11-09T17:00:00Z']; // Monday 18:00
+  const plan = planSlots({ windows: windows({ min_gap_hours: 20, max_per_day: 3 }), count: 3, nowUtc: NOW, existing, horizonDays: 5 });
+  const all = [...existing, ...plan].map(Date.parse).sort((a, b) => a - b);
+  for (let i = 1; i < all.length; i++) assert.ok(all[i] - all[i - 1] >= 20 * HOUR, `${new Date(all[i]).toISOString()} too close`);
+});
+
+test('planSlots: a backlog spreads across days before doubling up', () => {
+  const plan = planSlots({ windows: windows({ max_per_day: 3 }), count: 4, nowUtc: NOW, horizonDays: 3 });
+  assert.deepEqual(plan.slice(0, 3).map(day), ['2026-11-09', '2026-11-10', '2026-11-11']);
+  assert.equal(day(plan[3]), '2026-11-09');
+  assert.equal(plan[0], '2026-11-09T08:00:00.000Z'); // earliest slot of the least-loaded day
+});
+
+test('planSlots: closed days are skipped and null fills what does not fit', () => {
+  const plan = planSlots({
+    windows: windows({ closed_dates: ['2026-11-10'] }),
+    count: 3,
+    nowUtc: NOW,
+    horizonDays: 2
+  });
+  assert.equal(day(plan[0]), '2026-11-09');
+  assert.deepEqual(plan.slice(1), [null, null]);
+});
+
+test('resolveClientWindows: client overrides and timezone on top of the global windows', () => {
+  const base = windows();
+  const client = {
+    timezone: 'America/New_York',
+    scheduling_windows: { weekday: ['07:30'], max_per_day: 2, quiet_hours: null, tz: 'Asia/Tokyo', bogus: 1 }
+  };
+  const w = resolveClientWindows(base, client);
+  assert.deepEqual(w.weekday, ['07:30']);
+  assert.equal(w.max_per_day, 2);
+  assert.deepEqual(w.quiet_hours, [], 'null keeps the global value');
+  assert.equal(w.tz, 'America/New_York', 'tz comes from clients.timezone, not the JSON');
+  assert.equal(w.bogus, undefined);
+  assert.deepEqual(base.weekday, ['09:00', '13:00', '18:00'], 'the global windows are not mutated');
+
+  // The planner then works in the client's zone: 07:30 New York = 12:30 UTC
+  const [slot] = planSlots({ windows: w, count: 1, nowUtc: NOW });
+  assert.equal(slot, '2026-11-09T12:30:00.000Z');
+});
+
+test('resolveClientWindows: no client, or an invalid timezone, keeps the global windows', () => {
+  const base = windows();
+  assert.deepEqual(resolveClientWindows(base, null), base);
+  assert.equal(resolveClientWindows(base, { timezone: 'Mars/Olympus' }).tz, TZ);
+  assert.equal(resolveClientWindows(base, { scheduling_windows: 'not json' }).weekday, base.weekday);
+  assert.equal(resolveClientWindows().tz, TZ);
+});
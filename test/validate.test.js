@@ -0,0 +1,54 @@
+// /test/validate.test.js — lib/validate.js caption checks and the feedback lines sent back to the model
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateCaption, describeFailures, extractPrices } from '../lib/validate.js';
+
+const rules = (args) => validateCaption(args).map(f => f.rule);
+
+test('banned words match whole words, case- and accent-aware', () => {
+  const clientPrefs = { banned_words: ['olcsó', 'cheap'] };
+  assert.deepEqual(validateCaption({ caption: 'Olcsó és finom!', clientPrefs }), [{ rule: 'banned_word', detail: 'olcsó' }]);
+  assert.deepEqual(rules({ caption: 'Not cheap, just good', clientPrefs }), ['banned_word']);
+  assert.deepEqual(rules({ caption: 'Cheapest in town? No: best in town', clientPrefs }), []);
+  assert.deepEqual(rules({ caption: 'Olcsóbb nálunk', clientPrefs }), []);
+});
+
+test('must_include terms appear verbatim', () => {
+  const constraints = { must_include: ['reggel 7-től'] };
+  assert.deepEqual(rules({ caption: 'Nyitunk reggel 7-től!', constraints }), []);
+  assert.deepEqual(rules({ caption: 'Nyitunk reggel hétkor!', constraints }), ['must_include']);
+});
+
+test('prices: the brief price is required and other amounts are invented', () => {
+  const constraints = { price: '1490 Ft' };
+  assert.deepEqual(rules({ caption: 'Csak 1 490 Ft!', constraints }), []);
+  assert.deepEqual(rules({ caption: 'Kedvező áron!', constraints }), ['price_missing']);
+  assert.deepEqual(rules({ caption: 'Most 990 Ft!' }), ['invented_price']);
+  assert.deepEqual(rules({ caption: 'Most 990 Ft!', seedText: 'kifli 990 ft' }), []);
+  assert.deepEqual(extractPrices('HUF 1490 vagy 2.500 Ft és 300 forint, végül 1490 Ft'), ['1490', '2500', '300']);
+});
+
+test('cta_pool: one of the calls to action must be used', () => {
+  const clientPrefs = { cta_pool: ['Gyere be!', 'Rendeld meg most!'] };
+  assert.deepEqual(rules({ caption: 'Friss kifli. Gyere be!', clientPrefs }), []);
+  assert.deepEqual(rules({ caption: 'Friss kifli. gyere BE!', clientPrefs }), []);
+  assert.deepEqual(rules({ caption: 'Friss kifli.', clientPrefs }), ['cta_missing']);
+  assert.deepEqual(rules({ caption: 'Friss kifli.', clientPrefs: { cta_pool: [''] } }), []);
+});
+
+test('describeFailures: one instruction per failure', () => {
+  const failures = validateCaption({
+    caption: 'Olcsó kifli 990 Ft',
+    constraints: { must_include: ['#kifli'], price: '490 Ft' },
+    clientPrefs: { banned_words: ['olcsó'], cta_pool: ['Gyere be!'] }
+  });
+  assert.deepEqual(describeFailures(failures), [
+    '- Do not use the word "olcsó".',
+    '- Include "#kifli" exactly as written.',
+    '- State the price exactly: 490 Ft.',
+    '- Remove the price 990 Ft; it was not given.',
+    '- Use exactly one of these calls to action: Gyere be!.'
+  ]);
+  assert.deepEqual(describeFailures([{ rule: 'too_long' }]), ['- Fix: too_long']);
+  assert.deepEqual(describeFailures(), []);
+});
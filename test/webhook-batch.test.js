@@ -0,0 +1,73 @@
+// /test/webhook-batch.test.js — lib/webhook-batch.js batch splitting and per-message processed marking
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitMessages, processBatch } from '../lib/webhook-batch.js';
+
+// events table in memory: select(...).eq(...).maybeSingle() reads processed_at, update(...).eq(...) writes it
+function fakeEvents(processed = {}) {
+  const rows = new Map(Object.entries(processed).map(([id, at]) => [id, { processed_at: at }]));
+  return {
+    rows,
+    from: () => ({
+      select: () => ({ eq: (_, id) => ({ maybeSingle: async () => ({ data: rows.get(id) || null, error: null }) }) }),
+      update: (values) => ({ eq: async (_, id) => { rows.set(id, { ...rows.get(id), ...values }); return { error: null }; } })
+    })
+  };
+}
+
+const delivery = (...ids) => ({
+  object: 'whatsapp_business_account',
+  entry: [
+    { id: 'waba', changes: [{ field: 'messages', value: { metadata: { phone_number_id: 'p' }, messages: ids.slice(0, 2).map(id => ({ id, type: 'text' })) } }] },
+    { id: 'waba', changes: [{ field: 'messages', value: { statuses: [{ id: 'wamid.S' }] } }, { field: 'messages', value: { messages: ids.slice(2).map(id => ({ id, type: 'image' })) } }] }
+  ]
+});
+const reply = (status, body) => new Response(JSON.stringify(body), { status });
+const idOf = (envelope) => envelope.entry[0].changes[0].value.messages[0].id;
+
+test('splitMessages: one single-message envelope per message across entries and changes', () => {
+  const envelopes = splitMessages(delivery('m1', 'm2', 'm3'));
+  assert.deepEqual(envelopes.map(idOf), ['m1', 'm2', 'm3']);
+  for (const e of envelopes) {
+    assert.equal(e.entry.length, 1);
+    assert.equal(e.entry[0].changes.length, 1);
+    assert.equal(e.entry[0].changes[0].value.messages.length, 1);
+  }
+  assert.equal(envelopes[0].entry[0].changes[0].value.metadata.phone_number_id, 'p');
+  assert.deepEqual(splitMessages({ entry: [{ changes: [{ value: { statuses: [{}] } }] }] }), []);
+  assert.deepEqual(splitMessages(null), []);
+});
+
+test('processBatch: every message handled and marked processed with its result kind', async () => {
+  const db = fakeEvents();
+  const { results, retry } = await processBatch(db, splitMessages(delivery('m1', 'm2', 'm3')), async (e) => reply(200, { ok: true, kind: `k:${idOf(e)}` }));
+  assert.equal(retry, false);
+  assert.deepEqual(results.map(r => r.kind), ['k:m1', 'k:m2', 'k:m3']);
+  assert.equal(db.rows.get('m2').result_kind, 'k:m2');
+  assert.ok(db.rows.get('m3').processed_at);
+});
+
+test('processBatch: failures stay unprocessed and ask for a retry; the rest still run', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const db = fakeEvents({ m1: '2026-11-09T10:00:00Z' });
+  const handled = [];
+  const { results, retry } = await processBatch(db, splitMessages(delivery('m1', 'm2', 'm3', 'm4')), async (e) => {
+    const id = idOf(e);
+    handled.push(id);
+    if (id === 'm2') throw new Error('boom');
+    if (id === 'm3') return reply(502, { ok: false });
+    return reply(400, { ok: false, kind: 'bad_media' });
+  });
+  assert.equal(retry, true);
+  assert.deepEqual(handled, ['m2', 'm3', 'm4'], 'the message processed before is skipped');
+  assert.deepEqual(results[0], { id: 'm1', ok: true, kind: 'duplicate' });
+  assert.deepEqual(results[1], { id: 'm2', ok: false, error: 'handler_failed' });
+  assert.equal(db.rows.has('m2'), false);
+  assert.equal(db.rows.has('m3'), false);
+  assert.equal(db.rows.get('m4').result_kind, 'bad_media', '4xx is final');
+
+  // Meta redelivers the batch: only the failed ones run again
+  const again = [];
+  await processBatch(db, splitMessages(delivery('m1', 'm2', 'm3', 'm4')), async (e) => { again.push(idOf(e)); return reply(200, { kind: 'ok' }); });
+  assert.deepEqual(again, ['m2', 'm3']);
+});
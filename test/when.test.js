@@ -0,0 +1,60 @@
+// /test/when.test.js — lib/when.js posting times, resolved in Budapest time
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseWhen, resolveWhen } from '../lib/when.js';
+
+const NOW = new Date('2026-11-09T05:00:00Z'); // Monday 06:00 in Budapest (CET, UTC+1)
+const at = (text, nowUtc = NOW) => parseWhen(text, { tz: 'Europe/Budapest', nowUtc, defaultTime: '10:00' })?.toISOString() ?? null;
+
+test('relative days and offsets', () => {
+  assert.equal(at('tomorrow at 9'), '2026-11-10T08:00:00.000Z');
+  assert.equal(at('holnap 18:00'), '2026-11-10T17:00:00.000Z');
+  assert.equal(at('holnap'), '2026-11-10T09:00:00.000Z');
+  assert.equal(at('day after tomorrow 9:30'), '2026-11-11T08:30:00.000Z');
+  assert.equal(at('holnapután 8-kor'), '2026-11-11T07:00:00.000Z');
+  assert.equal(at('today 11:00'), '2026-11-09T10:00:00.000Z');
+  assert.equal(at('in 2 hours'), '2026-11-09T07:00:00.000Z');
+  assert.equal(at('30 perc múlva'), '2026-11-09T05:30:00.000Z');
+  assert.equal(at('most'), NOW.toISOString());
+});
+
+test('weekdays in English and Hungarian', () => {
+  assert.equal(at('Friday 7pm'), '2026-11-13T18:00:00.000Z');
+  assert.equal(at('pénteken 10'), '2026-11-13T09:00:00.000Z');
+  assert.equal(at('kedd'), '2026-11-10T09:00:00.000Z');
+  assert.equal(at('monday 9:00'), '2026-11-09T08:00:00.000Z');
+  assert.equal(at('next monday 9:00'), '2026-11-16T08:00:00.000Z');
+  assert.equal(at('monday 5:00'), '2026-11-16T04:00:00.000Z'); // already passed today → next week
+});
+
+test('Hungarian month names and calendar dates', () => {
+  assert.equal(at('nov 24 10:30'), '2026-11-24T09:30:00.000Z');
+  assert.equal(at('november 24-én 18:00'), '2026-11-24T17:00:00.000Z');
+  assert.equal(at('okt 24 10:30'), '2027-10-24T08:30:00.000Z'); // October already gone → next year
+  assert.equal(at('2026.12.01. 9:00'), '2026-12-01T08:00:00.000Z');
+  assert.equal(at('02.30.'), null);
+});
+
+test('parts of the day', () => {
+  assert.equal(at('szombat reggel'), '2026-11-14T08:00:00.000Z');
+  assert.equal(at('holnap este 7'), '2026-11-10T18:00:00.000Z');
+  assert.equal(at('tomorrow afternoon'), '2026-11-10T14:00:00.000Z');
+  assert.equal(at('este'), '2026-11-09T18:00:00.000Z');
+});
+
+test('a time that has already passed today is past, not scheduled', () => {
+  const noon = new Date('2026-11-09T11:00:00Z'); // Monday 12:00 in Budapest
+  assert.equal(at('ma 11:00', noon), null);
+  assert.equal(at('today 11:00', noon), null);
+  assert.deepEqual(resolveWhen('ma 11:00', { nowUtc: noon }), { at: null, past: true });
+  assert.deepEqual(resolveWhen('2026.11.01. 9:00', { nowUtc: noon }), { at: null, past: true });
+  // Without "today" a passed clock time means tomorrow
+  assert.equal(at('11:00', noon), '2026-11-10T10:00:00.000Z');
+  assert.equal(at('ma 15:00', noon), '2026-11-09T14:00:00.000Z');
+});
+
+test('not a time', () => {
+  assert.deepEqual(resolveWhen('whenever', { nowUtc: NOW }), { at: null, past: false });
+  assert.equal(at(''), null);
+  assert.equal(at('25:00'), null);
+});